@@ -0,0 +1,128 @@
+import fs from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+
+// Argument names whose values are never written to the log
+const SECRET_KEY_PATTERN = /token|secret|password|passwd|api[_-]?key|authorization|private[_-]?key|credential/i;
+
+// Secrets that can appear inside ordinary strings, e.g. a WP-CLI `--user_pass=...` flag or a pasted token
+const SECRET_VALUE_PATTERNS = [
+  [/(--[\w-]*(?:pass|password|token|secret|key)[\w-]*=)("[^"]*"|'[^']*'|\S+)/gi, '$1[REDACTED]'],
+  [/\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{20,}\b/g, '[REDACTED]'],
+  [/\bgithub_pat_[A-Za-z0-9_]{20,}\b/g, '[REDACTED]'],
+  [/\b(Bearer|token)\s+[A-Za-z0-9._~+/-]{20,}=*/gi, '$1 [REDACTED]']
+];
+
+// File contents and diffs are summarized by length instead of being copied into the log
+const MAX_LOGGED_STRING = 500;
+// File bodies (update_file, commit_changes operations) are never copied, however short; a hash still
+// shows whether two calls wrote the same thing
+const FILE_CONTENT_KEYS = ['content'];
+
+const MAX_RESULT_REFERENCES = 10;
+const URL_PATTERN = /https?:\/\/[^\s)\]>"'`]+/g;
+// Commit SHAs: 7-40 hex characters with at least one digit and one a-f letter, so neither ordinary words
+// nor run ids and issue numbers are mistaken for them
+const SHA_PATTERN = /\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{7,40}\b/g;
+
+// Append-only JSONL record of tool calls, one line per call
+export class AuditLog {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+  }
+
+  // Recording must never break the tool call it describes. `target` is the repository or site the tool
+  // actually used; without it the one named in the arguments is logged
+  record({ tool, args = {}, session = {}, result, durationMs, target = null }) {
+    const text = (result?.content || []).filter(item => item.type === 'text').map(item => item.text).join('\n');
+    const entry = {
+      timestamp: new Date().toISOString(),
+      session: session.id || null,
+      tool,
+      action: args.action || null,
+      target: target || args.repoName || args.site || null,
+      arguments: this.redact(args),
+      outcome: result?.isError ? 'error' : 'success',
+      error: result?.isError ? this.redact(text.split('\n')[0]) : undefined,
+      results: result?.isError ? [] : this.extractReferences(text),
+      durationMs
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Flag 'a' only ever appends; the log may hold repository names and branch details, so keep it private
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, { flag: 'a', mode: 0o600 });
+    } catch (error) {
+      console.error(`❌ Error writing audit log ${this.filePath}:`, error.message);
+    }
+  }
+
+  redact(value, key = '') {
+    if (SECRET_KEY_PATTERN.test(key) && value !== undefined && value !== null) {
+      return '[REDACTED]';
+    }
+    if (typeof value === 'string') {
+      if (FILE_CONTENT_KEYS.includes(key)) {
+        return `[${value.length} characters, sha256:${createHash('sha256').update(value).digest('hex').slice(0, 12)}]`;
+      }
+      if (value.length > MAX_LOGGED_STRING) {
+        return `[${value.length} characters]`;
+      }
+      return SECRET_VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redact(item, name)]));
+    }
+    return value;
+  }
+
+  // URLs and commit SHAs named in a successful response: the PRs, branches and commits the call produced
+  extractReferences(text) {
+    const references = [...(text.match(URL_PATTERN) || []), ...(text.match(SHA_PATTERN) || [])];
+    return [...new Set(references)].slice(0, MAX_RESULT_REFERENCES);
+  }
+
+  // Entries matching every given filter, newest first. Dates are ISO dates or timestamps; a bare
+  // `until` date includes that whole day
+  query({ since, until, repo, tool, action, outcome, limit = 20 } = {}) {
+    const from = since ? this.parseDate(since, 'since') : null;
+    const to = until ? this.parseDate(until, 'until', /^\d{4}-\d{2}-\d{2}$/.test(until)) : null;
+
+    if (!fs.existsSync(this.filePath)) {
+      return { entries: [], total: 0 };
+    }
+
+    const matches = fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          // A line cut short by a crash mid-write is skipped rather than failing the whole query
+          return null;
+        }
+      })
+      .filter(entry => entry
+        && (!from || new Date(entry.timestamp) >= from)
+        && (!to || new Date(entry.timestamp) <= to)
+        && (!repo || entry.target === repo)
+        && (!tool || entry.tool === tool)
+        && (!action || entry.action === action)
+        && (!outcome || entry.outcome === outcome))
+      .reverse();
+
+    return { entries: matches.slice(0, limit), total: matches.length };
+  }
+
+  parseDate(value, field, endOfDay = false) {
+    const date = new Date(endOfDay ? `${value}T23:59:59.999Z` : value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid ${field} date '${value}'. Use an ISO date such as 2024-05-01 or 2024-05-01T12:00:00Z`);
+    }
+    return date;
+  }
+}
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import { App, Octokit } from "octokit";
+import { GithubResponseCache } from "../cache/github.js";
+
+// A request hitting a rate limit is retried this many times, and only if GitHub asks to wait no longer than this
+const MAX_RATE_LIMIT_RETRIES = 2;
+const MAX_RATE_LIMIT_WAIT_SECONDS = 60;
+
+// Retry a rate-limited request after GitHub's Retry-After; give up when the wait would stall the tool call
+function onRateLimit(kind) {
+  return (retryAfter, options, octokit, retryCount) => {
+    const retry = retryCount < MAX_RATE_LIMIT_RETRIES && retryAfter <= MAX_RATE_LIMIT_WAIT_SECONDS;
+    console.error(`⏳ GitHub ${kind} rate limit on ${options.method} ${options.url}${retry ? `, retrying in ${retryAfter}s` : ', giving up'}`);
+    return retry;
+  };
+}
+
+// Throttling queues requests and backs off on rate limits; retry repeats server errors with growing delays
+const GithubOctokit = Octokit.defaults({
+  throttle: {
+    onRateLimit: onRateLimit('primary'),
+    onSecondaryRateLimit: onRateLimit('secondary')
+  },
+  retry: { retries: 3 }
+});
+
+// Remember the quota GitHub last reported to a client so tool responses can warn when it runs low
+function trackRateLimit(octokit) {
+  const record = headers => {
+    if (headers && headers['x-ratelimit-limit'] !== undefined) {
+      octokit.rateLimit = {
+        limit: Number(headers['x-ratelimit-limit']),
+        remaining: Number(headers['x-ratelimit-remaining']),
+        reset: Number(headers['x-ratelimit-reset']),
+        resource: headers['x-ratelimit-resource'] || 'core'
+      };
+    }
+  };
+  octokit.hook.after('request', response => record(response.headers));
+  octokit.hook.error('request', error => {
+    record(error.response?.headers);
+    throw error;
+  });
+}
+
+// Decides which GitHub identity acts on a repository. In order of precedence: the calling session's own
+// token, the repository's token from config/repos.json, the GitHub App installation, then GITHUB_TOKEN
+export class GithubCredentials {
+  constructor({ token = null, appId = null, privateKeyPath = null, installationId = null, cache = null } = {}) {
+    this.token = token;
+    this.cache = cache || new GithubResponseCache();
+    this.installationId = installationId ? Number(installationId) : null;
+    this.app = null;
+
+    if (appId) {
+      if (!privateKeyPath) {
+        throw new Error('GITHUB_APP_PRIVATE_KEY_PATH is required when GITHUB_APP_ID is set');
+      }
+      // The App signs a short-lived JWT with this key and refreshes installation tokens before they expire
+      this.app = new App({ appId, privateKey: fs.readFileSync(privateKeyPath, 'utf8'), Octokit: GithubOctokit });
+    }
+
+    this.defaultClient = this.createClient(token);
+    this.tokenClients = new Map();
+    this.installationClients = new Map();
+    this.installations = new Map();
+  }
+
+  static fromEnvironment(env = process.env) {
+    return new GithubCredentials({
+      token: env.GITHUB_TOKEN || null,
+      appId: env.GITHUB_APP_ID || null,
+      privateKeyPath: env.GITHUB_APP_PRIVATE_KEY_PATH || null,
+      installationId: env.GITHUB_APP_INSTALLATION_ID || null,
+      cache: GithubResponseCache.fromEnvironment(env)
+    });
+  }
+
+  // Returns the client for a configured repository and a description of where its credentials came from
+  async resolve(targetRepo, sessionToken = null) {
+    if (sessionToken) {
+      // Session tokens belong to a single client, so their clients are not kept across calls
+      return { octokit: this.createClient(sessionToken), source: 'session token', kind: 'token' };
+    }
+
+    const repositoryToken = this.repositoryToken(targetRepo);
+    if (repositoryToken) {
+      return { octokit: this.tokenClient(repositoryToken.token), source: repositoryToken.source, kind: 'token' };
+    }
+
+    if (this.app) {
+      const installationId = await this.findInstallation(targetRepo);
+      return { octokit: await this.installationClient(installationId), source: `GitHub App installation ${installationId}`, kind: 'app', installationId };
+    }
+
+    if (this.token) {
+      return { octokit: this.defaultClient, source: 'GITHUB_TOKEN', kind: 'token' };
+    }
+
+    return { octokit: this.defaultClient, source: 'unauthenticated (public data only)', kind: 'none' };
+  }
+
+  // A repository can name an environment variable (`tokenEnv`) or carry the token itself (`token`)
+  repositoryToken(targetRepo) {
+    if (targetRepo.tokenEnv) {
+      const token = process.env[targetRepo.tokenEnv];
+      if (!token) {
+        throw new Error(`Repository '${targetRepo.name}' uses tokenEnv ${targetRepo.tokenEnv}, which is not set`);
+      }
+      return { token, source: `repository token (${targetRepo.tokenEnv})` };
+    }
+
+    if (targetRepo.token) {
+      return { token: targetRepo.token, source: 'repository token (config/repos.json)' };
+    }
+
+    return null;
+  }
+
+  // Clients share the response cache, partitioned by the identity they act as
+  createClient(token) {
+    const octokit = new GithubOctokit(token ? { auth: token } : {});
+    trackRateLimit(octokit);
+    this.cache.install(octokit, GithubResponseCache.identityKey(token));
+    return octokit;
+  }
+
+  tokenClient(token) {
+    if (!this.tokenClients.has(token)) {
+      this.tokenClients.set(token, this.createClient(token));
+    }
+    return this.tokenClients.get(token);
+  }
+
+  async installationClient(installationId) {
+    if (!this.installationClients.has(installationId)) {
+      const octokit = await this.app.getInstallationOctokit(installationId);
+      trackRateLimit(octokit);
+      this.cache.install(octokit, `installation:${installationId}`);
+      this.installationClients.set(installationId, octokit);
+    }
+    return this.installationClients.get(installationId);
+  }
+
+  // Per-repo installationId, then GITHUB_APP_INSTALLATION_ID, then ask GitHub where the App is installed
+  async findInstallation(targetRepo) {
+    if (targetRepo.installationId) {
+      return Number(targetRepo.installationId);
+    }
+    if (this.installationId) {
+      return this.installationId;
+    }
+
+    if (!this.installations.has(targetRepo.repo)) {
+      const [owner, repo] = targetRepo.repo.split('/');
+      try {
+        const { data } = await this.app.octokit.rest.apps.getRepoInstallation({ owner, repo });
+        this.installations.set(targetRepo.repo, data.id);
+      } catch (error) {
+        if (error.status === 404) {
+          throw new Error(`The GitHub App is not installed on ${targetRepo.repo}`);
+        }
+        throw error;
+      }
+    }
+    return this.installations.get(targetRepo.repo);
+  }
+}
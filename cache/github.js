@@ -0,0 +1,97 @@
+import { createHash } from 'crypto';
+
+// Read endpoints whose GET responses are cached (getFileContent, listBranches, listPullRequests)
+const CACHED_PATH_PATTERN = /^\/repos\/[^/]+\/[^/]+\/(contents(\/.*)?|branches|pulls)$/;
+const REPOSITORY_PATH_PATTERN = /^\/repos\/([^/]+)\/([^/]+)/;
+
+const MAX_ENTRIES = 500;
+
+// Caches read responses per identity. Within the TTL a response is served without calling GitHub; after it,
+// the request is sent with If-None-Match and a 304 (which does not count against the quota) reuses the entry
+export class GithubResponseCache {
+  constructor({ ttlSeconds = 60, maxEntries = MAX_ENTRIES } = {}) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  static fromEnvironment(env = process.env) {
+    const ttlSeconds = env.GITHUB_CACHE_TTL_SECONDS === undefined ? 60 : Number(env.GITHUB_CACHE_TTL_SECONDS);
+    return new GithubResponseCache({ ttlSeconds: Number.isFinite(ttlSeconds) && ttlSeconds >= 0 ? ttlSeconds : 60 });
+  }
+
+  // Cache keys never contain the credential itself
+  static identityKey(token) {
+    return token ? createHash('sha256').update(token).digest('hex').slice(0, 16) : 'anonymous';
+  }
+
+  install(octokit, identity) {
+    octokit.hook.wrap('request', async (request, options) => {
+      // Paginated requests arrive with the URL already expanded, so match on the final URL
+      const { method, url, headers } = octokit.request.endpoint.parse(options);
+      const { pathname } = new URL(url);
+      const repository = pathname.match(REPOSITORY_PATH_PATTERN);
+
+      if (method !== 'GET') {
+        // A write can change anything the repository's cached reads returned
+        if (repository) {
+          this.invalidate(`${repository[1]}/${repository[2]}`.toLowerCase());
+        }
+        return request(options);
+      }
+
+      if (!CACHED_PATH_PATTERN.test(pathname)) {
+        return request(options);
+      }
+
+      // The Accept header decides between JSON and raw content for the same URL
+      const key = JSON.stringify([identity, url, headers.accept]);
+      const cached = this.entries.get(key);
+      if (cached && Date.now() - cached.storedAt < this.ttlMs) {
+        return this.copy(cached.response);
+      }
+
+      // Inner hooks see the original options object, so set the header on it. Paginated requests share one
+      // headers object across pages, so replace it rather than modify it
+      if (cached) {
+        options.headers = { ...options.headers, 'if-none-match': cached.etag };
+      }
+
+      try {
+        const response = await request(options);
+        if (response.headers.etag) {
+          this.store(key, { repo: `${repository[1]}/${repository[2]}`.toLowerCase(), etag: response.headers.etag, response });
+        }
+        return response;
+      } catch (error) {
+        if (error.status === 304 && cached) {
+          this.store(key, cached);
+          return this.copy(cached.response);
+        }
+        throw error;
+      }
+    });
+  }
+
+  // Re-inserting keeps the Map in least-recently-stored order, so the first entry is the one to evict
+  store(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, { ...entry, storedAt: Date.now() });
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  invalidate(repo) {
+    for (const [key, entry] of this.entries) {
+      if (entry.repo === repo) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  // Callers may modify response data, so never hand out the cached object itself
+  copy(response) {
+    return { ...response, data: structuredClone(response.data) };
+  }
+}
@@ -1,22 +1,38 @@
 import 'dotenv/config';
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
+} from "@modelcontextprotocol/sdk/types.js";
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Custom tool implementations
-import { WpCliTool } from "./tools/wpcli.js";
-import { GithubTool } from "./tools/github.js";
-import { DocumentationTool } from "./tools/documentation.js";
+import { fileURLToPath, pathToFileURL } from 'url';
+import { HttpTransportServer } from "./transports/http.js";
+import { AuditLog } from "./audit/log.js";
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load repository configuration
-function loadRepositories() {
+// Placeholder used until config/repos.json or GITHUB_REPOS names real repositories
+const DEFAULT_REPOSITORIES = [
+  {
+    name: "example-repo",
+    repo: "owner/repository",
+    defaultBranch: "develop"
+  }
+];
+
+// Load repository configuration. A file that does not parse falls back to the placeholder repository at
+// startup; on reload the previous repositories stay in effect
+function loadRepositories(previous = null) {
   try {
     // First try to load from environment variable (JSON string)
     if (process.env.GITHUB_REPOS) {
@@ -33,151 +49,404 @@ function loadRepositories() {
     
     // Fallback to default configuration
     console.error('⚠️  No repository configuration found. Using default CreatorLMS repos.');
-    return [
-      {
-        name: "example-repo",
-        repo: "owner/repository", 
-        defaultBranch: "develop"
-      }
-    ];
+    return DEFAULT_REPOSITORIES;
   } catch (error) {
     console.error('❌ Error loading repository configuration:', error.message);
+    if (previous) {
+      console.error('📝 Keeping the previously loaded repositories');
+      return previous;
+    }
     console.error('📝 Using default configuration');
-    return [
-      {
-        name: "example-repo", 
-        repo: "owner/repository",
-        defaultBranch: "develop"
-      }
-    ];
+    return DEFAULT_REPOSITORIES;
   }
 }
 
-// Create server instance
-const server = new Server(
-  {
-    name: "Tasker MCP Server",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+// Load the company rules enforced by the GitHub tool. There is no safe fallback, so a broken file stops
+// the server at startup; on reload the previous rules stay in effect
+function loadRules(previous = null) {
+  const rulesPath = process.env.RULES_FILE || path.join(__dirname, 'config', 'rules.json');
+  try {
+    return JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Error loading rules from ${rulesPath}:`, error.message);
+    if (previous) {
+      console.error('📝 Keeping the previously loaded rules');
+      return previous;
+    }
+    process.exit(1);
   }
-);
-
-// Load repositories and initialize tools
-const repositories = loadRepositories();
-const documentationTool = new DocumentationTool();
-const wpCliTool = new WpCliTool("/Users/macbookair/Local Sites/lms/app/public");
-const githubTool = new GithubTool({
-  repos: repositories,
-  token: process.env.GITHUB_TOKEN,
-  documentationTool: documentationTool
-});
-
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: "wpcli",
-        description: "WordPress CLI tool for CreatorLMS",
-        inputSchema: {
-          type: "object",
-          properties: {
-            command: { type: "string", description: "WP-CLI command to execute" }
-          },
-          required: ["command"]
-        }
-      },
-      {
-        name: "github",
-        description: `GitHub API integration - pure remote operations for repositories: ${repositories.map(r => r.name).join(', ')}`,
-        inputSchema: {
-          type: "object",
-          properties: {
-            repoName: { 
-              type: "string", 
-              description: `Repository name from configured repos: ${repositories.map(r => r.name).join(', ')}`,
-              enum: repositories.map(r => r.name)
-            },
-            action: { 
-              type: "string", 
-              description: "Action to perform",
-              enum: ["list_branches", "create_branch", "create_pr", "list_prs", "get_file", "update_file", "list_repos"]
-            },
-            taskBranch: { 
-              type: "string", 
-              description: "Branch name (required for create_branch, create_pr)" 
-            },
-            taskDescription: { 
-              type: "string", 
-              description: "Description/title for branch/PR, or filepath for file operations" 
-            }
-          },
-          required: ["repoName", "action"]
-        }
-      },
-      {
-        name: "docs",
-        description: "Company documentation and best practices - enforces rules for development",
-        inputSchema: {
-          type: "object",
-          properties: {
-            action: {
-              type: "string",
-              description: "Action to perform",
-              enum: ["list", "get", "search", "rules", "guidelines"]
-            },
-            document: {
-              type: "string", 
-              description: "Document name or category (git, coding, review, pr, github)"
-            },
-            query: {
-              type: "string",
-              description: "Search query for finding specific information"
-            }
-          },
-          required: ["action"]
+}
+
+// Load WP-CLI configuration (command policy overrides); on reload a file that does not parse keeps the previous one
+function loadWpCliConfig(previous = null) {
+  try {
+    const configPath = path.join(__dirname, 'config', 'wpcli.json');
+    if (fs.existsSync(configPath)) {
+      return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('❌ Error loading WP-CLI configuration:', error.message);
+    if (previous) {
+      console.error('📝 Keeping the previously loaded WP-CLI configuration');
+      return previous;
+    }
+    console.error('📝 Using default WP-CLI command policy');
+  }
+  return {};
+}
+
+// Load the WordPress site registry
+function loadSites(wpCliConfig, repositories) {
+  let sites = wpCliConfig.sites;
+
+  try {
+    // Environment variable (JSON string) takes precedence over the config file
+    if (process.env.WP_SITES) {
+      sites = JSON.parse(process.env.WP_SITES);
+    }
+  } catch (error) {
+    console.error('❌ Error parsing WP_SITES:', error.message);
+  }
+
+  if (!Array.isArray(sites) || sites.length === 0) {
+    // Only a WordPress root is a safe default: desktop clients often start the server in /
+    if (fs.existsSync(path.join(process.cwd(), 'wp-config.php'))) {
+      console.error(`⚠️  No WordPress sites configured. Using the current directory (${process.cwd()}) as site 'local'.`);
+      return [
+        {
+          name: "local",
+          path: process.cwd()
         }
+      ];
+    }
+    return [];
+  }
+
+  // Warn about sites linked to repositories that are not configured
+  sites
+    .filter(site => site.repo && !repositories.some(r => r.name === site.repo || r.repo === site.repo))
+    .forEach(site => console.error(`⚠️  Site '${site.name}' links to unknown repository '${site.repo}'`));
+
+  return sites;
+}
+
+// Load which tools are enabled. On reload a file that does not parse keeps the previous selection, so a typo
+// cannot turn disabled tools back on
+function loadToolsConfig(previous = null) {
+  try {
+    const configPath = path.join(__dirname, 'config', 'tools.json');
+    if (fs.existsSync(configPath)) {
+      return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('❌ Error loading tools configuration:', error.message);
+    if (previous) {
+      console.error('📝 Keeping the previously enabled tools');
+      return previous;
+    }
+    console.error('📝 Enabling all tools');
+  }
+  return {};
+}
+
+// Import every module in tools/ that exports a tool definition; modules without one are skipped
+async function discoverTools() {
+  const toolsDir = path.join(__dirname, 'tools');
+  const definitions = [];
+
+  for (const file of fs.readdirSync(toolsDir).filter(file => file.endsWith('.js')).sort()) {
+    try {
+      const { definition } = await import(pathToFileURL(path.join(toolsDir, file)).href);
+      if (!definition) {
+        console.error(`⚠️  Skipping tools/${file}: no tool definition exported`);
+        continue;
+      }
+
+      const missing = ['name', 'description', 'inputSchema', 'create', 'handler'].filter(key => !definition[key]);
+      if (missing.length) {
+        console.error(`⚠️  Skipping tools/${file}: definition is missing ${missing.join(', ')}`);
+        continue;
       }
-    ]
+
+      definitions.push(definition);
+    } catch (error) {
+      console.error(`❌ Error loading tools/${file}:`, error.message);
+    }
+  }
+
+  return definitions;
+}
+
+// An "enabled" list limits the tools to those named; a "disabled" list removes tools
+function isToolEnabled(name, toolsConfig) {
+  if (Array.isArray(toolsConfig.enabled) && !toolsConfig.enabled.includes(name)) {
+    return false;
+  }
+  return !(toolsConfig.disabled || []).includes(name);
+}
+
+// Load the configuration and create the enabled tools, dependencies first. On reload a tool whose
+// configuration (`uses`) and dependencies are unchanged keeps its instance, and with it any clients and
+// caches it holds
+function buildRegistry(definitions, previous = null) {
+  const toolsConfig = loadToolsConfig(previous?.toolsConfig);
+  const repositories = loadRepositories(previous?.context.repositories);
+  const wpCliConfig = loadWpCliConfig(previous?.context.wpCliConfig);
+  const context = {
+    auditLog,
+    repositories,
+    rules: loadRules(previous?.context.rules),
+    wpCliConfig,
+    sites: loadSites(wpCliConfig, repositories),
+    tools: {}
+  };
+
+  const enabled = definitions.filter(definition => isToolEnabled(definition.name, toolsConfig));
+  const active = [];
+  const visited = new Set();
+  const recreated = new Set();
+  const configKeys = Object.keys(context).filter(key => key !== 'tools');
+  const changed = previous
+    ? configKeys.filter(key => JSON.stringify(context[key]) !== JSON.stringify(previous.context[key]))
+    : configKeys;
+
+  // Tools that do not declare what they use are recreated on any configuration change
+  const canReuse = definition => {
+    const dependencies = definition.dependsOn || [];
+    return Boolean(previous?.context.tools[definition.name])
+      && !(definition.uses || configKeys).some(key => changed.includes(key))
+      && dependencies.every(dependency => !recreated.has(dependency)
+        && Boolean(context.tools[dependency]) === Boolean(previous.context.tools[dependency]));
+  };
+
+  const create = definition => {
+    if (visited.has(definition.name)) return;
+    visited.add(definition.name);
+
+    // Dependencies are optional unless the tool's create() says otherwise
+    (definition.dependsOn || []).forEach(dependency => {
+      const dependencyDefinition = enabled.find(candidate => candidate.name === dependency);
+      if (dependencyDefinition) create(dependencyDefinition);
+    });
+
+    if (canReuse(definition)) {
+      context.tools[definition.name] = previous.context.tools[definition.name];
+      active.push(definition);
+      return;
+    }
+
+    try {
+      context.tools[definition.name] = definition.create(context);
+      recreated.add(definition.name);
+      active.push(definition);
+    } catch (error) {
+      console.error(`⚠️  Skipping tool '${definition.name}': ${error.message}`);
+    }
   };
-});
+  enabled.forEach(create);
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-  
+  console.error(`🧰 Tools enabled: ${active.map(definition => definition.name).join(', ') || 'none'}`);
+  return { definitions: active, context, toolsConfig, changed, recreated: [...recreated] };
+}
+
+// Definitions may give a description or schema directly or as a function of the loaded configuration
+function resolveDefinitionField(value, context) {
+  return typeof value === 'function' ? value(context) : value;
+}
+
+// The repository or site a call acted on, as the tool resolved it (e.g. the default site when none was given)
+function resolveAuditTarget(definition, args = {}) {
   try {
-    switch (name) {
-      case "wpcli":
-        return await wpCliTool.run(args);
-      case "github":
-        return await githubTool.run(args);
-      case "docs":
-        return await documentationTool.run(args);
-      default:
-        throw new Error(`Unknown tool: ${name}`);
+    return definition?.auditTarget?.(registry.context.tools[definition.name], args) ?? null;
+  } catch {
+    // An unknown site or repository is reported by the call itself
+    return null;
+  }
+}
+
+// Every tool call is recorded here; tools opt out with `audited: false`
+const auditLog = new AuditLog({ filePath: process.env.AUDIT_LOG || path.join(__dirname, 'logs', 'audit.jsonl') });
+
+// Discovered tool modules and the registry built from them
+let toolDefinitions = [];
+let registry = { definitions: [], context: { tools: {} } };
+
+// Re-read config/ and recreate the tools whose configuration changed
+function reloadConfig() {
+  const previous = registry;
+  registry = buildRegistry(toolDefinitions, previous);
+  console.error(`🔄 Reloaded configuration (${registry.context.repositories.length} repositories, recreated: ${registry.recreated.join(', ') || 'none'})`);
+
+  // Repository and site enums are part of the tool schemas, so clients must re-list them
+  const names = definitions => definitions.map(definition => definition.name).join(',');
+  if (registry.changed.length > 0 || names(registry.definitions) !== names(previous.definitions)) {
+    notifyClients(server => server.sendToolListChanged(), 'tools/list_changed');
+  }
+}
+
+// Re-read docs/ and rebuild the search index
+function reloadDocs() {
+  registry.context.tools.docs?.loadDocuments();
+  notifyClients(server => server.sendResourceListChanged(), 'resources/list_changed');
+}
+
+// Watch a directory and run the reload once a burst of changes settles (editors write files in several steps)
+function watchDirectory(directory, reload) {
+  if (!fs.existsSync(directory)) {
+    return;
+  }
+
+  let timer = null;
+  const watcher = fs.watch(directory, () => {
+    clearTimeout(timer);
+    timer = setTimeout(reload, 200);
+  });
+  watcher.on('error', error => console.error(`❌ Stopped watching ${directory}:`, error.message));
+  // Watching must not keep the process alive once the client disconnects
+  watcher.unref();
+}
+
+// The docs tool backs resources and prompts; with it disabled there are none
+function requireDocumentationTool() {
+  const documentationTool = registry.context.tools.docs;
+  if (!documentationTool) {
+    throw new Error('The docs tool is disabled');
+  }
+  return documentationTool;
+}
+
+// MCP servers connected to a client: one for stdio, one per HTTP session
+const servers = new Set();
+
+// Create an MCP server instance; every instance shares the tool registry
+function createServer() {
+  const server = new Server(
+    {
+      name: "Tasker MCP Server",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { listChanged: true },
+        prompts: {},
+      },
     }
-  } catch (error) {
+  );
+
+  // List available tools
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const { definitions, context } = registry;
     return {
-      content: [
-        {
-          type: "text",
-          text: `Error executing ${name}: ${error.message}`
-        }
-      ],
-      isError: true
+      tools: definitions.map(definition => ({
+        name: definition.name,
+        description: resolveDefinitionField(definition.description, context),
+        inputSchema: resolveDefinitionField(definition.inputSchema, context)
+      }))
     };
-  }
-});
+  });
+
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const definition = registry.definitions.find(candidate => candidate.name === name);
+    // Over HTTP the transport attaches the session's own credentials; stdio has none
+    const session = { id: extra.sessionId || null, githubToken: extra.authInfo?.extra?.githubToken || null };
+    const startedAt = Date.now();
+
+    let result;
+    try {
+      if (!definition) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+      result = await definition.handler(registry.context.tools[name], args, session);
+    } catch (error) {
+      result = {
+        content: [
+          {
+            type: "text",
+            text: `Error executing ${name}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    if (definition?.audited !== false) {
+      auditLog.record({ tool: name, args, session, result, durationMs: Date.now() - startedAt, target: resolveAuditTarget(definition, args) });
+    }
+    return result;
+  });
+
+  // Company documents as docs://<name> resources
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: registry.context.tools.docs?.listResources() || [] };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    try {
+      return { contents: requireDocumentationTool().readResource(request.params.uri) };
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+  });
+
+  // Prompt templates that embed the relevant company documents
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: registry.context.tools.docs?.listPrompts() || [] };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    try {
+      return requireDocumentationTool().getPrompt(request.params.name, request.params.arguments);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+  });
+
+  servers.add(server);
+  server.onclose = () => servers.delete(server);
+  return server;
+}
+
+// Send a list_changed notification to every connected client
+function notifyClients(notify, method) {
+  servers.forEach(server => {
+    notify(server).catch(error => console.error(`❌ Error sending ${method}:`, error.message));
+  });
+}
+
+// Comma-separated list from an environment variable
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
 
 // Start the server
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+  toolDefinitions = await discoverTools();
+  registry = buildRegistry(toolDefinitions);
+
+  if (process.env.MCP_TRANSPORT === 'http') {
+    const httpServer = new HttpTransportServer({
+      createServer,
+      port: parseInt(process.env.MCP_HTTP_PORT || '3000', 10),
+      host: process.env.MCP_HTTP_HOST || '127.0.0.1',
+      authToken: process.env.MCP_AUTH_TOKEN || null,
+      sessionIdleMinutes: parseInt(process.env.MCP_SESSION_IDLE_MINUTES || '30', 10),
+      allowedHosts: parseList(process.env.MCP_ALLOWED_HOSTS),
+      allowedOrigins: parseList(process.env.MCP_ALLOWED_ORIGINS)
+    });
+    await httpServer.start();
+
+    const shutdown = () => httpServer.stop().finally(() => process.exit(0));
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  } else {
+    await createServer().connect(new StdioServerTransport());
+  }
+
+  watchDirectory(path.join(__dirname, 'config'), reloadConfig);
+  watchDirectory(path.join(__dirname, 'docs'), reloadDocs);
   console.error("CreatorLMS MCP server running...");
 }
 
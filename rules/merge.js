@@ -0,0 +1,14 @@
+// Deep-merge rule overrides; arrays and scalars replace the base value
+export function mergeRules(base, override) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object' ? mergeRules(base[key], value) : value;
+  });
+  return merged;
+}
+
+// The company rules with a repository's own overrides from config/repos.json applied
+export function repositoryRules(rules, targetRepo) {
+  return mergeRules(rules, targetRepo.rules || {});
+}
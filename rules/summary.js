@@ -0,0 +1,36 @@
+const MERGE_METHOD_NAMES = {
+  squash: 'Squash and merge',
+  merge: 'regular merge',
+  rebase: 'rebase and merge'
+};
+
+// One-line summaries of each rule section, built from the rules themselves so they follow every override
+export function summarizeRules({ branchNaming, commitFormat, pullRequest, reviews, mergeStrategy }) {
+  return {
+    branchNaming: `Use prefixes: ${branchNaming.prefixes.join(', ')}`,
+    commitFormat: `Use conventional commits: ${Object.keys(commitFormat.types).map(type => `${type}:`).join(', ')}`,
+    pullRequest: summarizePullRequest(pullRequest),
+    reviews: reviews.requiredApprovals > 0
+      ? `At least ${reviews.requiredApprovals} approval${reviews.requiredApprovals === 1 ? '' : 's'} before merging`
+      : 'No approvals required before merging',
+    mergeStrategy: summarizeMergeStrategy(mergeStrategy)
+  };
+}
+
+function summarizePullRequest({ titleFormat, requiredSections }) {
+  const parts = [
+    titleFormat === 'conventional' ? 'Conventional commit title' : 'Free-form title',
+    requiredSections.length ? `${requiredSections.join(' and ')} sections` : null,
+    'link issues, request reviews'
+  ];
+  return parts.filter(Boolean).join(', ');
+}
+
+// "Squash and merge for feature/, fix/; regular merge for hotfix/, release/"
+function summarizeMergeStrategy({ prefixes }) {
+  const byMethod = new Map();
+  Object.entries(prefixes).forEach(([prefix, method]) => {
+    byMethod.set(method, [...(byMethod.get(method) || []), prefix]);
+  });
+  return [...byMethod].map(([method, methodPrefixes]) => `${MERGE_METHOD_NAMES[method] || method} for ${methodPrefixes.join(', ')}`).join('; ');
+}
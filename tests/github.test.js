@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GithubTool } from '../tools/github.js';
+
+// Serves `count` numbered items in GitHub-style pages and records each page requested
+function createOctokit(count) {
+  const requested = [];
+  const octokit = {
+    rest: { repos: { listBranches: 'repos.listBranches' } },
+    paginate: {
+      async *iterator(method, { page = 1, per_page: perPage = 30 }) {
+        for (let current = page; ; current++) {
+          requested.push(current);
+          const data = Array.from({ length: count }, (_, i) => ({ name: `branch-${i + 1}`, protected: false }))
+            .slice((current - 1) * perPage, current * perPage);
+          const hasNext = current * perPage < count;
+          yield { data, headers: hasNext ? { link: `<https://api.github.com/x?page=${current + 1}>; rel="next"` } : {} };
+          if (!hasNext) return;
+        }
+      }
+    }
+  };
+  return { octokit, requested };
+}
+
+function createTool(octokit) {
+  return new GithubTool({ repos: [{ name: 'app', repo: 'acme/app' }], credentials: { defaultClient: octokit } });
+}
+
+test('collectPage resumes from the GitHub page in the cursor instead of walking from page 1', async () => {
+  const { octokit, requested } = createOctokit(250);
+  const tool = createTool(octokit);
+  const method = octokit.rest.repos.listBranches;
+  const params = { owner: 'acme', repo: 'app', per_page: 100 };
+
+  const first = await tool.collectPage(method, params, () => true, { limit: 60 });
+  assert.deepEqual(first.items.map(item => item.name), Array.from({ length: 60 }, (_, i) => `branch-${i + 1}`));
+  assert.deepEqual(requested, [1]);
+
+  requested.length = 0;
+  const second = await tool.collectPage(method, params, () => true, { limit: 60, cursor: first.nextCursor });
+  assert.equal(second.offset, 60);
+  assert.equal(second.items[0].name, 'branch-61');
+  assert.equal(second.items[59].name, 'branch-120');
+  assert.deepEqual(requested, [1, 2]);
+
+  requested.length = 0;
+  const third = await tool.collectPage(method, params, () => true, { limit: 100, cursor: second.nextCursor });
+  assert.equal(third.items[0].name, 'branch-121');
+  assert.deepEqual(requested, [2, 3]);
+
+  requested.length = 0;
+  const last = await tool.collectPage(method, params, () => true, { limit: 100, cursor: third.nextCursor });
+  assert.deepEqual(last.items.map(item => item.name), Array.from({ length: 30 }, (_, i) => `branch-${i + 221}`));
+  assert.equal(last.nextCursor, null);
+  assert.deepEqual(requested, [3]);
+});
+
+test('collectPage stops at a full page boundary without fetching the next page', async () => {
+  const { octokit, requested } = createOctokit(250);
+  const tool = createTool(octokit);
+  const params = { owner: 'acme', repo: 'app', per_page: 100 };
+
+  const first = await tool.collectPage(octokit.rest.repos.listBranches, params, () => true, { limit: 100 });
+  assert.deepEqual(requested, [1]);
+  assert.ok(first.nextCursor);
+
+  requested.length = 0;
+  const second = await tool.collectPage(octokit.rest.repos.listBranches, params, () => true, { limit: 100, cursor: first.nextCursor });
+  assert.equal(second.items[0].name, 'branch-101');
+  assert.deepEqual(requested, [2]);
+});
+
+test('collectPage applies the filter and keeps the page size the cursor was made with', async () => {
+  const { octokit, requested } = createOctokit(250);
+  const tool = createTool(octokit);
+  const even = item => Number(item.name.split('-')[1]) % 2 === 0;
+
+  const first = await tool.collectPage(octokit.rest.repos.listBranches, { per_page: 100 }, even, { limit: 60 });
+  assert.equal(first.items[59].name, 'branch-120');
+
+  requested.length = 0;
+  const second = await tool.collectPage(octokit.rest.repos.listBranches, { per_page: 30 }, even, { limit: 10, cursor: first.nextCursor });
+  assert.deepEqual(second.items.map(item => item.name), Array.from({ length: 10 }, (_, i) => `branch-${122 + i * 2}`));
+  assert.equal(second.offset, 60);
+  assert.deepEqual(requested, [2]);
+});
+
+test('listBranches reports the range and rejects a malformed cursor', async () => {
+  const { octokit } = createOctokit(150);
+  const tool = createTool(octokit);
+
+  const first = await tool.listBranches('acme', 'app', { limit: 100 });
+  const cursor = first.content[0].text.match(/pass cursor '([^']+)'/)[1];
+  const second = await tool.listBranches('acme', 'app', { limit: 100, cursor });
+  assert.match(second.content[0].text, /• branch-101\n/);
+  assert.match(second.content[0].text, /Showing 101-150 \(end of results\)/);
+
+  await assert.rejects(tool.listBranches('acme', 'app', { cursor: 'not-a-cursor' }), /Invalid cursor 'not-a-cursor'/);
+});
+
+test('commit_changes refuses two operations on the same path before touching GitHub', async () => {
+  const calls = [];
+  const record = name => async () => { calls.push(name); };
+  const octokit = { rest: { git: {
+    getRef: record('getRef'), getCommit: record('getCommit'), getTree: record('getTree'),
+    createTree: record('createTree'), createCommit: record('createCommit'), updateRef: record('updateRef')
+  } } };
+  const tool = createTool(octokit);
+  tool.getRules = () => ({});
+  tool.validateCommitMessage = () => ({ isValid: true });
+
+  await assert.rejects(
+    tool.commitChanges('acme', 'app', 'feature/run', 'chore: rename run script', [
+      { type: 'modify', path: 'bin/run.sh', content: '#!/bin/sh\necho go' },
+      { type: 'rename', from: 'bin/run.sh', path: 'bin/go.sh' }
+    ]),
+    /Operations 1 and 2 both touch 'bin\/run\.sh'/
+  );
+
+  await assert.rejects(
+    tool.commitChanges('acme', 'app', 'feature/run', 'chore: add scripts', [
+      { type: 'add', path: 'bin/go.sh', content: 'a' },
+      { type: 'delete', path: 'bin/old.sh' },
+      { type: 'add', path: '/bin/go.sh', content: 'b' }
+    ]),
+    /Operations 1 and 3 both touch 'bin\/go\.sh'/
+  );
+  assert.deepEqual(calls, []);
+});
+
+test('diagnose and list_repos run without a repoName; other actions require one', async () => {
+  const octokit = { rest: { repos: {
+    get: async ({ repo }) => ({ data: { private: repo === 'api', default_branch: 'main', permissions: { pull: true } } }),
+    getBranch: async () => ({ data: {} })
+  } } };
+  const tool = new GithubTool({
+    repos: [{ name: 'app', repo: 'acme/app', defaultBranch: 'main' }, { name: 'api', repo: 'acme/api', defaultBranch: 'main' }],
+    credentials: { defaultClient: octokit, resolve: async () => ({ octokit, source: 'GITHUB_TOKEN', kind: 'none' }) }
+  });
+
+  const diagnosis = await tool.run({ action: 'diagnose' });
+  assert.equal(diagnosis.isError, undefined);
+  assert.match(diagnosis.content[0].text, /\*\*app\*\* \(acme\/app\)\n {3}🔑 Credentials: GITHUB_TOKEN/);
+  assert.match(diagnosis.content[0].text, /\*\*api\*\* \(acme\/api\)[\s\S]*Repository access: private/);
+
+  const repos = await tool.run({ action: 'list_repos' });
+  assert.equal(repos.isError, undefined);
+  assert.match(repos.content[0].text, /acme\/api/);
+
+  const branches = await tool.run({ action: 'list_branches' });
+  assert.equal(branches.isError, true);
+  assert.match(branches.content[0].text, /repoName is required for list_branches\. Available repos: app, api/);
+});
@@ -0,0 +1,128 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { HttpTransportServer } from '../transports/http.js';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+const started = [];
+
+async function startServer(options = {}) {
+  const server = new HttpTransportServer({
+    createServer: () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: {} }),
+    port: 0,
+    ...options
+  });
+  await server.start();
+  started.push(server);
+  return server;
+}
+
+// http.request rather than fetch: fetch does not let a caller set the Host header
+function request(server, { method = 'POST', path = '/mcp', headers = {}, body = INITIALIZE } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = method === 'POST' ? JSON.stringify(body) : undefined;
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.port,
+      method,
+      path,
+      headers: {
+        host: `127.0.0.1:${server.port}`,
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream',
+        ...headers
+      }
+    }, res => {
+      let raw = '';
+      res.on('data', chunk => { raw += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: raw }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+after(() => Promise.all(started.map(server => server.stop())));
+
+test('refuses to listen on a non-loopback address without a token', () => {
+  assert.throws(() => new HttpTransportServer({ createServer: () => null, host: '0.0.0.0' }), /MCP_AUTH_TOKEN is required to listen on 0\.0\.0\.0/);
+});
+
+test('accepts a token-less local client on a loopback name', async () => {
+  const server = await startServer();
+
+  for (const host of [`127.0.0.1:${server.port}`, `localhost:${server.port}`]) {
+    const response = await request(server, { headers: { host } });
+    assert.equal(response.status, 200, host);
+    assert.ok(response.headers['mcp-session-id']);
+  }
+});
+
+test('rejects a token-less request whose Host is not the server (DNS rebinding)', async () => {
+  const server = await startServer();
+
+  const response = await request(server, { headers: { host: `attacker.example:${server.port}` } });
+  assert.equal(response.status, 403);
+  assert.match(JSON.parse(response.body).error.message, /Host attacker\.example:\d+ is not allowed/);
+  assert.equal(server.sessions.size, 0);
+
+  const sse = await request(server, { method: 'GET', path: '/sse', headers: { host: `attacker.example:${server.port}` } });
+  assert.equal(sse.status, 403);
+});
+
+test('rejects a browser request from a foreign Origin and accepts an allow-listed one', async () => {
+  const server = await startServer({ allowedOrigins: ['https://app.example'] });
+
+  const foreign = await request(server, { headers: { origin: 'https://attacker.example' } });
+  assert.equal(foreign.status, 403);
+  assert.match(JSON.parse(foreign.body).error.message, /Origin https:\/\/attacker\.example is not allowed/);
+
+  const local = await request(server, { headers: { origin: `http://localhost:${server.port}` } });
+  assert.equal(local.status, 200);
+
+  const listed = await request(server, { headers: { origin: 'https://app.example' } });
+  assert.equal(listed.status, 200);
+});
+
+test('uses the configured allowed hosts instead of the loopback names', async () => {
+  const server = await startServer({ allowedHosts: ['mcp.internal:8080'] });
+
+  assert.equal((await request(server)).status, 403);
+  assert.equal((await request(server, { headers: { host: 'mcp.internal:8080' } })).status, 200);
+});
+
+test('requires the bearer token when one is configured', async () => {
+  const server = await startServer({ authToken: 'secret-token' });
+
+  const missing = await request(server);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers['www-authenticate'], 'Bearer');
+
+  const wrong = await request(server, { headers: { authorization: 'Bearer secret-tokem' } });
+  assert.equal(wrong.status, 401);
+
+  const shorter = await request(server, { headers: { authorization: 'Bearer secret' } });
+  assert.equal(shorter.status, 401);
+
+  const basic = await request(server, { headers: { authorization: 'Basic secret-token' } });
+  assert.equal(basic.status, 401);
+
+  const valid = await request(server, { headers: { authorization: 'Bearer secret-token' } });
+  assert.equal(valid.status, 200);
+  assert.ok(valid.headers['mcp-session-id']);
+});
+
+test('serves /health without a token', async () => {
+  const server = await startServer({ authToken: 'secret-token' });
+
+  const response = await request(server, { method: 'GET', path: '/health' });
+  assert.equal(response.status, 200);
+  assert.equal(JSON.parse(response.body).status, 'ok');
+});
@@ -0,0 +1,124 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { TrelloTool } from '../tools/trello.js';
+
+// Local stand-in for the Trello API: records every request and answers from a route table
+let server;
+let baseUrl;
+let requests;
+
+const ROUTES = {
+  'GET /1/members/me/boards': () => [200, [{ id: 'b1', name: 'Sprint', url: 'https://trello.com/b/b1' }]],
+  'GET /1/boards/b1/lists': () => [200, [{ id: 'l1', name: 'To Do' }, { id: 'l2', name: 'Doing' }]],
+  'GET /1/cards/c1': () => [200, { id: 'c1', name: 'Add login', desc: 'As a user...', shortUrl: 'https://trello.com/c/c1' }],
+  'GET /1/cards/missing': () => [404, 'The requested resource was not found.'],
+  'POST /1/cards': body => [200, { id: 'c2', name: body.name, shortUrl: 'https://trello.com/c/c2' }],
+  'PUT /1/cards/c1': () => [200, { id: 'c1', name: 'Add login' }],
+  'POST /1/checklists': body => [200, { id: 'k1', name: body.name }],
+  'POST /1/checklists/k1/checkItems': () => [200, {}],
+  'POST /1/cards/c1/attachments': body => [200, { id: 'a1', url: body.url }]
+};
+
+const text = result => result.content.map(item => item.text).join('\n');
+
+function createTool(options = {}) {
+  return new TrelloTool({ apiKey: 'test-key', token: 'test-token', baseUrl: `${baseUrl}/1/`, defaultBoard: 'b1', ...options });
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+      const route = ROUTES[`${req.method} ${url.pathname}`];
+      const [status, payload] = route ? route(body) : [404, 'Not found'];
+      res.writeHead(status, { 'Content-Type': typeof payload === 'string' ? 'text/plain' : 'application/json' });
+      res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+test('sends the key and token on every request', async () => {
+  const result = await createTool().run({ action: 'list_boards' });
+
+  assert.equal(result.isError, undefined);
+  assert.match(text(result), /• Sprint \(b1\)/);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].path, '/1/members/me/boards');
+  assert.deepEqual(requests[0].query, { key: 'test-key', token: 'test-token', filter: 'open', fields: 'name,url' });
+});
+
+test('uses the default board and reads cards by id', async () => {
+  const lists = await createTool().run({ action: 'list_lists' });
+  assert.match(text(lists), /Lists on board b1:\n• To Do \(l1\)\n• Doing \(l2\)/);
+
+  const card = await createTool().run({ action: 'get_card', cardId: 'c1' });
+  assert.match(text(card), /📄 Card: Add login \(c1\)/);
+  assert.match(text(card), /As a user\.\.\./);
+
+  assert.deepEqual(requests.map(({ method, path }) => `${method} ${path}`), ['GET /1/boards/b1/lists', 'GET /1/cards/c1']);
+});
+
+test('sends writes as JSON bodies with the credentials in the query', async () => {
+  const tool = createTool();
+
+  const created = await tool.run({ action: 'create_card', listId: 'l1', name: 'Fix logout', description: 'Steps...' });
+  assert.match(text(created), /Created card 'Fix logout' \(c2\)/);
+
+  await tool.run({ action: 'move_card', cardId: 'c1', listId: 'l2' });
+  await tool.run({ action: 'add_checklist', cardId: 'c1', name: 'QA', items: ['Chrome', 'Safari'] });
+
+  assert.deepEqual(requests.map(({ method, path, body }) => [method, path, body]), [
+    ['POST', '/1/cards', { idList: 'l1', name: 'Fix logout', desc: 'Steps...' }],
+    ['PUT', '/1/cards/c1', { idList: 'l2' }],
+    ['POST', '/1/checklists', { idCard: 'c1', name: 'QA' }],
+    ['POST', '/1/checklists/k1/checkItems', { name: 'Chrome' }],
+    ['POST', '/1/checklists/k1/checkItems', { name: 'Safari' }]
+  ]);
+  requests.forEach(({ query }) => assert.deepEqual(query, { key: 'test-key', token: 'test-token' }));
+});
+
+test('attaches only GitHub branch and pull request URLs', async () => {
+  const tool = createTool();
+
+  const attached = await tool.run({ action: 'attach_github', cardId: 'c1', url: 'https://github.com/acme/app/pull/42' });
+  assert.match(text(attached), /Attached https:\/\/github\.com\/acme\/app\/pull\/42 to card c1/);
+  assert.deepEqual(requests[0].body, { url: 'https://github.com/acme/app/pull/42', name: 'pull 42' });
+
+  const rejected = await tool.run({ action: 'attach_github', cardId: 'c1', url: 'https://example.com/x' });
+  assert.equal(rejected.isError, true);
+  assert.match(text(rejected), /is not a GitHub branch or pull request URL/);
+  assert.equal(requests.length, 1);
+});
+
+test('reports API errors with the method, path and status', async () => {
+  const result = await createTool().run({ action: 'get_card', cardId: 'missing' });
+
+  assert.equal(result.isError, true);
+  assert.equal(text(result), '❌ Trello Error: GET /cards/missing failed (404): The requested resource was not found.');
+});
+
+test('reports missing credentials and arguments without calling the API', async () => {
+  const noCredentials = await createTool({ token: undefined }).run({ action: 'list_boards' });
+  assert.equal(noCredentials.isError, true);
+  assert.match(text(noCredentials), /Trello credentials missing/);
+
+  const noCard = await createTool().run({ action: 'move_card', listId: 'l2' });
+  assert.equal(noCard.isError, true);
+  assert.match(text(noCard), /'cardId' is required for move_card/);
+
+  assert.equal(requests.length, 0);
+});
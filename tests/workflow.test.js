@@ -0,0 +1,146 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WorkflowTool } from '../tools/workflow.js';
+
+let directory;
+let statePath;
+let calls;
+
+const text = result => result.content.map(item => item.text).join('\n');
+const failure = message => ({ content: [{ type: 'text', text: `❌ ${message}` }], isError: true });
+const success = message => ({ content: [{ type: 'text', text: `✅ ${message}` }] });
+
+// Records every call and fails the calls named in `failing` until they are removed from it
+function createGithub(failing) {
+  return {
+    findRepository: name => ({ name, repo: `acme/${name}`, defaultBranch: 'develop' }),
+    withRepository: (targetRepo, fn) => fn(),
+    getRules: () => ({}),
+    validateBranchName: () => ({ isValid: true }),
+    lintCommitMessage: () => [],
+    getPRGuidelines: () => 'PR guidelines',
+    formatViolations: violations => violations.map(violation => `• ${violation}`).join('\n'),
+    async createBranch(owner, repo, branchName) {
+      calls.push(['createBranch', branchName]);
+      return failing.has('createBranch') ? failure('GitHub is down') : success(`Created ${branchName}`);
+    },
+    async openPullRequest(owner, repo, headBranch, baseBranch, title) {
+      calls.push(['openPullRequest', headBranch, title]);
+      if (failing.has('openPullRequest')) {
+        return { pr: null, violations: ['Title must follow conventional commits'] };
+      }
+      return { pr: { number: 42, html_url: 'https://github.com/acme/app/pull/42' }, violations: [] };
+    }
+  };
+}
+
+function createTrello(failing) {
+  return {
+    async getCardData(cardId) {
+      calls.push(['getCardData', cardId]);
+      return { name: 'Add login', desc: 'As a user...', shortUrl: `https://trello.com/c/${cardId}` };
+    },
+    async attachGithubLink(cardId, url) {
+      calls.push(['attachGithubLink', cardId, url]);
+      return failing.has('attachGithubLink') ? failure('Trello is down') : success('Attached');
+    }
+  };
+}
+
+function createTool(failing = new Set()) {
+  return new WorkflowTool({ githubTool: createGithub(failing), trelloTool: createTrello(failing), statePath });
+}
+
+const callNames = () => calls.map(([name]) => name);
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-test-'));
+  statePath = path.join(directory, 'workflow-state.json');
+  calls = [];
+});
+
+afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('runSteps skips completed steps and stops at the first failure', async () => {
+  const tool = createTool();
+  const workflow = { id: 't1', steps: { first: { status: 'done', result: { value: 1 } } } };
+  const ran = [];
+
+  const outcome = await tool.runSteps(workflow, [
+    ['first', () => ran.push('first')],
+    ['second', () => { ran.push('second'); return { value: 2 }; }],
+    ['third', () => { ran.push('third'); throw new Error('boom'); }],
+    ['fourth', () => ran.push('fourth')]
+  ]);
+
+  assert.deepEqual(outcome, { ok: false, failedStep: 'third' });
+  assert.deepEqual(ran, ['second', 'third']);
+  assert.deepEqual(workflow.steps.first.result, { value: 1 });
+  assert.equal(workflow.steps.second.status, 'done');
+  assert.deepEqual(workflow.steps.second.result, { value: 2 });
+  assert.equal(workflow.steps.third.status, 'failed');
+  assert.equal(workflow.steps.third.error, 'boom');
+  assert.equal(workflow.steps.fourth, undefined);
+});
+
+test('start_task resumes from the failed step after a restart', async () => {
+  const failing = new Set(['createBranch']);
+  const first = await createTool(failing).run({ action: 'start_task', repoName: 'app', cardId: 'c1', branchName: 'feature/add-login' });
+
+  assert.match(text(first), /❌ create_branch: ❌ GitHub is down/);
+  assert.match(text(first), /Step 'create_branch' failed/);
+  assert.deepEqual(callNames(), ['getCardData', 'createBranch']);
+
+  // A new instance reads the saved state, as after a server restart
+  failing.clear();
+  calls = [];
+  const second = await createTool(failing).run({ action: 'start_task', cardId: 'c1' });
+
+  assert.equal(second.isError, undefined);
+  assert.deepEqual(calls, [
+    ['createBranch', 'feature/add-login'],
+    ['attachGithubLink', 'c1', 'https://github.com/acme/app/tree/feature/add-login']
+  ]);
+  assert.match(text(second), /✅ create_branch: repo=acme\/app, branchName=feature\/add-login, baseBranch=develop/);
+});
+
+test('finish_task links the PR from the created pull request without opening it twice', async () => {
+  const failing = new Set(['attachGithubLink']);
+  await createTool().run({ action: 'start_task', repoName: 'app', cardId: 'c1', branchName: 'feature/add-login' });
+
+  calls = [];
+  const first = await createTool(failing).run({ action: 'finish_task', cardId: 'c1', title: 'feat: add login' });
+  assert.match(text(first), /✅ create_pr: number=42, url=https:\/\/github\.com\/acme\/app\/pull\/42, title=feat: add login/);
+  assert.match(text(first), /❌ link_pr: ❌ Trello is down/);
+
+  failing.clear();
+  calls = [];
+  const second = await createTool(failing).run({ action: 'finish_task', cardId: 'c1' });
+  assert.deepEqual(calls, [['attachGithubLink', 'c1', 'https://github.com/acme/app/pull/42']]);
+  assert.match(text(second), /✅ link_pr: url=https:\/\/github\.com\/acme\/app\/pull\/42/);
+});
+
+test('finish_task fails create_pr and skips link_pr when the rules refuse the PR', async () => {
+  await createTool().run({ action: 'start_task', repoName: 'app', cardId: 'c1', branchName: 'feature/add-login' });
+
+  calls = [];
+  const result = await createTool(new Set(['openPullRequest'])).run({ action: 'finish_task', cardId: 'c1', title: 'add login' });
+  assert.match(text(result), /❌ create_pr: PR validation failed:\n• Title must follow conventional commits/);
+  assert.deepEqual(callNames(), ['openPullRequest']);
+
+  const saved = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  assert.equal(saved.c1.steps.create_pr.status, 'failed');
+  assert.equal(saved.c1.steps.link_pr, undefined);
+});
+
+test('finish_task requires a created branch', async () => {
+  const tool = createTool(new Set(['createBranch']));
+  await tool.run({ action: 'start_task', repoName: 'app', description: 'Add login', branchName: 'feature/add-login' });
+
+  const result = await tool.run({ action: 'finish_task', taskId: 'add-login' });
+  assert.equal(result.isError, true);
+  assert.match(text(result), /Task 'add-login' has no branch yet/);
+});
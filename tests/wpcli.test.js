@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WpCliTool } from '../tools/wpcli.js';
+
+// Stands in for WP-CLI: echoes its arguments, or misbehaves on cue so every result category can be reached
+const FAKE_WP = `#!/bin/sh
+case "$1 $2" in
+  "cron event") exec sleep 5 ;;
+  "core version") echo "Error: This does not seem to be a WordPress installation." >&2; exit 3 ;;
+  "theme list") echo "PHP Warning:  Undefined variable \\$foo in /srv/wp/wp-config.php on line 12" >&2; echo "twentytwentyfour" ;;
+  "option get") echo "not json" ;;
+  "plugin list")
+    for arg in "$@"; do
+      if [ "$arg" = "--format=json" ]; then
+        echo '[{"name":"akismet","status":"active","version":"5.3","update":"none"}]'
+        exit 0
+      fi
+    done
+    ;;
+esac
+echo "ARGS: $*"
+echo "CWD: $(pwd)"
+`;
+
+let directory;
+let sitePath;
+let originalPath;
+
+const text = result => result.content.map(item => item.text).join('\n');
+
+function createTool(options = {}) {
+  return new WpCliTool({ sites: [{ name: 'local', path: sitePath, url: 'https://example.test' }], timeoutMs: 500, ...options });
+}
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wpcli-test-'));
+  sitePath = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'wpcli-site-')));
+  fs.writeFileSync(path.join(directory, 'wp'), FAKE_WP, { mode: 0o755 });
+  originalPath = process.env.PATH;
+  process.env.PATH = `${directory}${path.delimiter}${originalPath}`;
+});
+
+after(() => {
+  process.env.PATH = originalPath;
+  fs.rmSync(directory, { recursive: true, force: true });
+  fs.rmSync(sitePath, { recursive: true, force: true });
+});
+
+test('runs an allowed command in the site directory with the site flags appended', async () => {
+  const result = await createTool().run({ command: 'wp plugin list --status=active' });
+
+  assert.equal(result.isError, undefined);
+  assert.match(text(result), /ARGS: plugin list --status=active --path=\S+ --url=https:\/\/example\.test/);
+  assert.match(text(result), new RegExp(`CWD: ${sitePath}`));
+});
+
+test('requires confirmation for commands that change the site', async () => {
+  const tool = createTool();
+
+  for (const command of ['db reset --yes', "search-replace 'http://old.test' 'https://new.test'", 'plugin activate akismet', 'cache flush', 'transient delete --all', 'rewrite flush']) {
+    const refused = await tool.run({ command });
+    assert.equal(refused.isError, true);
+    assert.match(text(refused), /requires explicit confirmation on site 'local'/);
+    assert.doesNotMatch(text(refused), /ARGS:/);
+
+    const confirmed = await tool.run({ command, confirm: true });
+    assert.equal(confirmed.isError, undefined);
+    assert.match(text(confirmed), new RegExp(`ARGS: ${command.split(' ')[0]}`));
+  }
+});
+
+test('denies eval and a user-supplied --path', async () => {
+  const tool = createTool();
+
+  const evaluated = await tool.run({ command: "eval 'echo 1;'", confirm: true });
+  assert.equal(evaluated.isError, true);
+  assert.match(text(evaluated), /'eval' is on the WP-CLI deny-list/);
+
+  const pathFlag = await tool.run({ command: 'plugin list --path=/var/www/other' });
+  assert.equal(pathFlag.isError, true);
+  assert.match(text(pathFlag), /Flag '--path' is not allowed/);
+});
+
+test('rejects shell operators', async () => {
+  const tool = createTool();
+
+  for (const [command, operator] of [['plugin list; rm -rf /', ';'], ['plugin list && wp db reset', '&'], ['option get $(whoami)', '$(']]) {
+    const result = await tool.run({ command });
+    assert.equal(result.isError, true);
+    assert.ok(text(result).includes(`Shell operator '${operator}' is not allowed`), text(result));
+  }
+
+  // Quoted operators are ordinary text
+  const quoted = await tool.run({ command: "option get 'a;b'" });
+  assert.equal(quoted.isError, undefined);
+  assert.match(text(quoted), /ARGS: option get a;b/);
+});
+
+test('dry run shows the resolved invocation without executing it', async () => {
+  const result = await createTool({ sites: [{ name: 'local', path: sitePath, phpBinary: '/usr/bin/php8.2' }] })
+    .run({ command: 'db reset --yes', dryRun: true });
+
+  const output = text(result);
+  assert.match(output, /Dry run - nothing was executed/);
+  assert.ok(output.includes(`• Arguments: ${JSON.stringify(['db', 'reset', '--yes', `--path=${sitePath}`])}`), output);
+  assert.ok(output.includes(`• Working directory: ${sitePath}`), output);
+  assert.match(output, /• PHP: \/usr\/bin\/php8\.2/);
+  assert.ok(output.includes(`• Command: wp db reset --yes --path=${sitePath}`), output);
+  assert.match(output, /• Policy: ⚠️ {2}requires confirm: true/);
+  assert.doesNotMatch(output, /ARGS:/);
+});
+
+test('summarizes JSON output', async () => {
+  const result = await createTool().run({ command: 'plugin list', format: 'json' });
+
+  assert.equal(result.isError, undefined);
+  assert.match(text(result), /📊 1 row\(s\) • 1 active • 0 update\(s\) available/);
+});
+
+test('reports each failure category', async () => {
+  const tool = createTool();
+
+  const unparsable = await tool.run({ command: 'option get siteurl', format: 'json' });
+  assert.equal(unparsable.isError, true);
+  assert.match(text(unparsable), /WP-CLI Output Error \(local\): expected JSON but could not parse it/);
+
+  const timedOut = await tool.run({ command: 'cron event list' });
+  assert.equal(timedOut.isError, true);
+  assert.match(text(timedOut), /WP-CLI Timeout \(local\): 'cron event list' did not finish within 500ms/);
+
+  const failed = await tool.run({ command: 'core version' });
+  assert.equal(failed.isError, true);
+  assert.match(text(failed), /WP-CLI Exit Code 3 \(local\): Error: This does not seem to be a WordPress installation\./);
+
+  // Warnings are reported, but the command succeeded and must not look like a failure
+  const warned = await tool.run({ command: 'theme list' });
+  assert.equal(warned.isError, undefined);
+  assert.match(text(warned), /PHP Warnings \(local\): the command finished but PHP reported 1 warning\(s\)/);
+  assert.match(text(warned), /twentytwentyfour/);
+});
@@ -0,0 +1,116 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+export class AuditTool {
+  constructor({ auditLog }) {
+    this.auditLog = auditLog;
+  }
+
+  async run({ since, until, repo, tool, action, outcome, limit = DEFAULT_LIMIT } = {}) {
+    try {
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error('limit must be a positive integer');
+      }
+
+      const { entries, total } = this.auditLog.query({ since, until, repo, tool, action, outcome, limit: Math.min(limit, MAX_LIMIT) });
+      const filters = Object.entries({ since, until, repo, tool, action, outcome })
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}=${value}`);
+
+      if (entries.length === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `📜 No audit log entries${filters.length ? ` matching ${filters.join(', ')}` : ''}`
+            }
+          ]
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `📜 Audit Log (${entries.length} of ${total}${filters.length ? ` matching ${filters.join(', ')}` : ''}, newest first)\n\n${entries.map(entry => this.formatEntry(entry)).join('\n\n')}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Audit Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  formatEntry(entry) {
+    const { action, repoName, site, ...rest } = entry.arguments || {};
+    const lines = [
+      `${entry.outcome === 'error' ? '❌' : '✅'} ${entry.timestamp} ${entry.tool}${entry.action ? ` ${entry.action}` : ''}${entry.target ? ` (${entry.target})` : ''}`
+    ];
+
+    if (Object.keys(rest).length > 0) {
+      lines.push(`   Args: ${JSON.stringify(rest)}`);
+    }
+    if (entry.error) {
+      lines.push(`   Error: ${entry.error}`);
+    }
+    if (entry.results && entry.results.length > 0) {
+      lines.push(`   Results: ${entry.results.join(', ')}`);
+    }
+    if (entry.session) {
+      lines.push(`   Session: ${entry.session}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// MCP tool definition, discovered by index.js. Queries are not themselves recorded
+export const definition = {
+  name: "audit",
+  audited: false,
+  uses: ['auditLog'],
+  create: ({ auditLog }) => new AuditTool({ auditLog }),
+  description: "Audit log of tool calls made through this server - review what was done, filtered by date, repository or site, tool, action or outcome",
+  inputSchema: {
+    type: "object",
+    properties: {
+      since: {
+        type: "string",
+        description: "Only entries at or after this ISO date or timestamp, e.g. 2024-05-01"
+      },
+      until: {
+        type: "string",
+        description: "Only entries at or before this ISO date (whole day) or timestamp"
+      },
+      repo: {
+        type: "string",
+        description: "Repository (repoName) or WordPress site the call targeted"
+      },
+      tool: {
+        type: "string",
+        description: "Tool that was called, e.g. github, wpcli, workflow"
+      },
+      action: {
+        type: "string",
+        description: "Action that was called, e.g. create_pr, commit_changes"
+      },
+      outcome: {
+        type: "string",
+        description: "Only successful or failed calls",
+        enum: ["success", "error"]
+      },
+      limit: {
+        type: "number",
+        description: `Maximum entries to return, newest first (default ${DEFAULT_LIMIT}, max ${MAX_LIMIT})`
+      }
+    }
+  },
+  handler: (tool, args) => tool.run(args)
+};
@@ -1,14 +1,94 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { repositoryRules } from '../rules/merge.js';
+import { summarizeRules } from '../rules/summary.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Documents that apply to each MCP action, with a one-line summary
+const ACTION_GUIDELINES = {
+  'create_branch': {
+    rules: ['git-best-practices'],
+    summary: 'Follow Git branching strategy: feature/fix/enhancement prefixes'
+  },
+  'create_pr': {
+    rules: ['how-to-make-github-prs', 'code-review-best-practices'],
+    summary: 'Use proper PR templates, clear descriptions, and link issues'
+  },
+  'code_review': {
+    rules: ['code-review-best-practices', 'coding-best-practices'],
+    summary: 'Check functionality, security, performance, and maintainability'
+  },
+  'coding': {
+    rules: ['coding-best-practices'],
+    summary: 'Follow DRY, KISS, SOLID principles with proper naming and documentation'
+  }
+};
+
+// Prompt templates offered to MCP clients; each embeds the docs for one set of guidelines
+const PROMPTS = {
+  review_pr: {
+    description: 'Review a pull request against the company review rules',
+    guidelines: 'code_review',
+    arguments: [
+      { name: 'repoName', description: 'Configured repository name', required: true },
+      { name: 'prNumber', description: 'Pull request number', required: true }
+    ],
+    text: ({ repoName, prNumber }) => `Review PR #${prNumber} in ${repoName} following our company rules, which are attached.
+
+1. Use the github tool's get_pr and get_pr_diff actions (repoName "${repoName}", prNumber ${prNumber}) to read the change.
+2. Go through every section of the review checklist and note what passes and what does not.
+3. Label each comment by severity (🔴 Critical, 🟡 Important, 🟢 Suggestion) and point to the file and line.
+4. Finish with submit_review: approve, request_changes or comment, with inline comments for specific lines.`
+  },
+  plan_branch: {
+    description: 'Plan a branch, commits and PR for a task following the company Git rules',
+    guidelines: 'create_branch',
+    arguments: [
+      { name: 'task', description: 'What the task is about', required: true },
+      { name: 'repoName', description: 'Configured repository name', required: false }
+    ],
+    text: ({ task, repoName }) => `Plan the work for this task${repoName ? ` in ${repoName}` : ''}, following our Git rules, which are attached:
+
+${task}
+
+Propose:
+1. A branch name with the right prefix, within the naming rules.
+2. The base branch to start from and the branch the PR should target.
+3. A sequence of small commits, each with a conventional commit message.
+4. A conventional PR title and the issues it should link.
+
+Then create the branch with the github tool's create_branch action${repoName ? ` (repoName "${repoName}")` : ''}, or the workflow tool's start_task action.`
+  }
+};
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'which', 'will', 'with', 'you', 'your'
+]);
+
+// BM25 tuning: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Fuzzy matches count for less than exact ones
+const FUZZY_WEIGHT = 0.5;
+
+// Sections returned with their content, and how much of each is shown
+const MAX_SEARCH_RESULTS = 5;
+const MAX_SECTION_LENGTH = 1200;
+
 export class DocumentationTool {
-  constructor() {
+  constructor({ rules = null, repositories = [] } = {}) {
     this.docsPath = path.join(__dirname, '..', 'docs');
+    this.rules = rules;
+    this.repositories = repositories;
     this.documentCache = new Map();
+    this.searchIndex = null;
     this.loadDocuments();
   }
 
@@ -23,6 +103,8 @@ export class DocumentationTool {
       const files = fs.readdirSync(this.docsPath);
       const mdFiles = files.filter(file => file.endsWith('.md'));
 
+      // Rebuilt from scratch so a reload also drops deleted documents
+      this.documentCache = new Map();
       mdFiles.forEach(file => {
         const filePath = path.join(this.docsPath, file);
         const content = fs.readFileSync(filePath, 'utf8');
@@ -36,7 +118,8 @@ export class DocumentationTool {
         });
       });
 
-      console.error(`📚 Loaded ${mdFiles.length} documentation files`);
+      this.searchIndex = this.buildSearchIndex();
+      console.error(`📚 Loaded ${mdFiles.length} documentation files (${this.searchIndex.sections.length} sections indexed)`);
     } catch (error) {
       console.error('❌ Error loading documentation:', error.message);
     }
@@ -68,7 +151,7 @@ export class DocumentationTool {
   }
 
   // Main run method for MCP tool
-  async run({ action, document, query }) {
+  async run({ action, document, query, repoName }) {
     try {
       switch (action) {
         case 'list':
@@ -78,10 +161,10 @@ export class DocumentationTool {
           return this.getDocument(document);
         
         case 'search':
-          return this.searchDocuments(query);
+          return this.searchDocuments(query, document);
         
         case 'rules':
-          return this.getCompanyRules(document);
+          return this.getCompanyRules(document, repoName);
         
         case 'guidelines':
           return this.getGuidelines(document);
@@ -140,31 +223,16 @@ export class DocumentationTool {
     };
   }
 
-  // Search through documents
-  searchDocuments(query) {
+  // Ranked search over document sections; supports "quoted phrases" and tolerates typos
+  searchDocuments(query, docName = null) {
     if (!query) {
       throw new Error('Search query is required');
     }
+    if (docName && !this.documentCache.has(docName)) {
+      throw new Error(`Document '${docName}' not found. Available: ${Array.from(this.documentCache.keys()).join(', ')}`);
+    }
 
-    const results = [];
-    const searchTerm = query.toLowerCase();
-
-    this.documentCache.forEach((doc, docName) => {
-      const content = doc.content.toLowerCase();
-      if (content.includes(searchTerm)) {
-        // Find relevant sections
-        const lines = doc.content.split('\n');
-        const matchingLines = lines.filter(line => 
-          line.toLowerCase().includes(searchTerm)
-        );
-
-        results.push({
-          document: docName,
-          title: doc.title,
-          matches: matchingLines.slice(0, 5) // Limit to 5 matches per doc
-        });
-      }
-    });
+    const results = this.rankSections(query, docName);
 
     if (results.length === 0) {
       return {
@@ -177,20 +245,180 @@ export class DocumentationTool {
       };
     }
 
+    const shown = results.slice(0, MAX_SEARCH_RESULTS);
+    const more = results.slice(MAX_SEARCH_RESULTS, MAX_SEARCH_RESULTS * 2);
+
     return {
       content: [
         {
           type: "text",
-          text: `🔍 Search results for "${query}":\n\n${results.map(result => 
-            `📄 **${result.title}** (${result.document})\n${result.matches.map(match => `   • ${match.trim()}`).join('\n')}\n`
-          ).join('\n')}`
+          text: `🔍 Search results for "${query}" (${results.length} matching section(s)):\n\n${shown.map(({ section, score, fuzzy }) => {
+            const body = section.text.length > MAX_SECTION_LENGTH ? `${section.text.slice(0, MAX_SECTION_LENGTH)}\n...` : section.text;
+            return `📄 **${section.path.join(' › ')}** (${section.docName}, score ${score.toFixed(2)}${fuzzy.length ? `, fuzzy: ${fuzzy.join(', ')}` : ''})\n${body}`;
+          }).join('\n\n---\n\n')}${more.length ? `\n\n📚 Also relevant:\n${more.map(({ section }) => `• ${section.path.join(' › ')} (${section.docName})`).join('\n')}` : ''}`
         }
       ]
     };
   }
 
+  // Split every document into heading-delimited sections and build an inverted index over them
+  buildSearchIndex() {
+    const sections = [];
+    this.documentCache.forEach((doc, docName) => {
+      sections.push(...this.splitSections(docName, doc));
+    });
+
+    const postings = new Map();
+    sections.forEach((section, id) => {
+      section.tokens = this.tokenize(`${section.path[section.path.length - 1]} ${section.text}`);
+      const counts = new Map();
+      section.tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+      counts.forEach((count, term) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        postings.get(term).set(id, count);
+      });
+    });
+
+    const totalLength = sections.reduce((total, section) => total + section.tokens.length, 0);
+    return { sections, postings, averageLength: sections.length ? totalLength / sections.length : 0 };
+  }
+
+  // Sections of a markdown document with their heading path; headings inside code blocks are ignored
+  splitSections(docName, doc) {
+    const sections = [];
+    const headings = [];
+    let current = { docName, path: [doc.title], lines: [] };
+    let inCode = false;
+
+    doc.content.split('\n').forEach(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inCode = !inCode;
+      }
+      const heading = !inCode && line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+      if (!heading) {
+        current.lines.push(line);
+        return;
+      }
+
+      sections.push(current);
+      const level = heading[1].length;
+      while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+      headings.push({ level, text: heading[2] });
+      // The level-1 heading is the document title, which is already the root of every path
+      const path = headings.filter(h => h.level > 1).map(h => h.text);
+      current = { docName, path: [doc.title, ...path], lines: [] };
+    });
+    sections.push(current);
+
+    return sections
+      .map(({ docName: name, path: headingPath, lines }) => ({ docName: name, path: headingPath, text: lines.join('\n').trim() }))
+      .filter(section => section.text);
+  }
+
+  // Lowercase, split into words, drop stop words and stem
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !STOP_WORDS.has(word))
+      .map(word => this.stem(word));
+  }
+
+  // Light suffix-stripping stemmer so "merging", "merged" and "merges" all index as "merg"
+  stem(word) {
+    if (word.length <= 3 || /^\d+$/.test(word)) {
+      return word;
+    }
+
+    let stemmed = word
+      .replace(/ies$/, 'y')
+      .replace(/sses$/, 'ss')
+      .replace(/([^su])s$/, '$1');
+
+    const withoutSuffix = stemmed.replace(/(ing|ed)$/, '');
+    if (withoutSuffix !== stemmed && /[aeiouy]/.test(withoutSuffix) && withoutSuffix.length >= 3) {
+      stemmed = /([^aeiouylsz])\1$/.test(withoutSuffix) ? withoutSuffix.slice(0, -1) : withoutSuffix;
+    }
+
+    stemmed = stemmed
+      .replace(/ational$/, 'ate')
+      .replace(/(iz|is)ation$/, 'ize')
+      .replace(/(ness|ment|ful|ly)$/, suffix => (stemmed.length - suffix.length >= 4 ? '' : suffix));
+
+    return stemmed.length > 4 ? stemmed.replace(/e$/, '') : stemmed;
+  }
+
+  // Score sections with BM25; phrases must appear in order, unknown terms fall back to close spellings
+  rankSections(query, docName = null) {
+    const { sections, postings, averageLength } = this.searchIndex || this.buildSearchIndex();
+    const phrases = Array.from(query.matchAll(/"([^"]+)"/g)).map(match => this.tokenize(match[1])).filter(tokens => tokens.length);
+    const terms = Array.from(new Set([...this.tokenize(query.replace(/"[^"]*"/g, ' ')), ...phrases.flat()]));
+
+    const scores = new Map();
+    const fuzzyTerms = new Map();
+    terms.forEach(term => {
+      const matches = postings.has(term)
+        ? [{ term, weight: 1 }]
+        : this.fuzzyTerms(term, postings).map(match => ({ term: match, weight: FUZZY_WEIGHT }));
+
+      matches.forEach(({ term: matched, weight }) => {
+        const documents = postings.get(matched);
+        const idf = Math.log(1 + (sections.length - documents.size + 0.5) / (documents.size + 0.5));
+        documents.forEach((frequency, id) => {
+          if (docName && sections[id].docName !== docName) return;
+          const length = sections[id].tokens.length;
+          const score = idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+          scores.set(id, (scores.get(id) || 0) + weight * score);
+          if (weight < 1) {
+            if (!fuzzyTerms.has(id)) fuzzyTerms.set(id, new Set());
+            fuzzyTerms.get(id).add(matched);
+          }
+        });
+      });
+    });
+
+    return Array.from(scores.entries())
+      .filter(([id]) => phrases.every(phrase => this.containsPhrase(sections[id].tokens, phrase)))
+      .map(([id, score]) => ({ section: sections[id], score, fuzzy: Array.from(fuzzyTerms.get(id) || []) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Indexed terms within a small edit distance of a term that has no exact match
+  fuzzyTerms(term, postings) {
+    if (term.length < 4) {
+      return [];
+    }
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    return Array.from(postings.keys()).filter(candidate =>
+      Math.abs(candidate.length - term.length) <= maxDistance && this.editDistance(term, candidate) <= maxDistance
+    );
+  }
+
+  // Levenshtein distance
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // Whether the tokens contain the phrase's tokens consecutively
+  containsPhrase(tokens, phrase) {
+    for (let i = 0; i <= tokens.length - phrase.length; i++) {
+      if (phrase.every((token, offset) => tokens[i + offset] === token)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   // Get company rules for specific actions
-  getCompanyRules(category) {
+  getCompanyRules(category, repoName = null) {
     const rulesMap = {
       'git': 'git-best-practices',
       'coding': 'coding-best-practices', 
@@ -199,6 +427,10 @@ export class DocumentationTool {
       'github': 'how-to-make-github-prs'
     };
 
+    if (category?.toLowerCase() === 'enforced') {
+      return this.getEnforcedRules(repoName);
+    }
+
     const docName = rulesMap[category?.toLowerCase()] || category;
     
     if (!docName) {
@@ -208,7 +440,7 @@ export class DocumentationTool {
             type: "text",
             text: `📋 Company Rules Categories:\n\n${Object.keys(rulesMap).map(key => 
               `• **${key}** - ${rulesMap[key]}`
-            ).join('\n')}\n\n💡 Use: action='rules', document='git' (or coding, review, pr)`
+            ).join('\n')}\n• **enforced** - rules the GitHub tool enforces (config/rules.json)\n\n💡 Use: action='rules', document='git' (or coding, review, pr, enforced)`
           }
         ]
       };
@@ -219,24 +451,7 @@ export class DocumentationTool {
 
   // Get guidelines for MCP actions
   getGuidelines(actionType) {
-    const guidelines = {
-      'create_branch': {
-        rules: ['git-best-practices'],
-        summary: 'Follow Git branching strategy: feature/fix/enhancement prefixes'
-      },
-      'create_pr': {
-        rules: ['how-to-make-github-prs', 'code-review-best-practices'],
-        summary: 'Use proper PR templates, clear descriptions, and link issues'
-      },
-      'code_review': {
-        rules: ['code-review-best-practices', 'coding-best-practices'],
-        summary: 'Check functionality, security, performance, and maintainability'
-      },
-      'coding': {
-        rules: ['coding-best-practices'],
-        summary: 'Follow DRY, KISS, SOLID principles with proper naming and documentation'
-      }
-    };
+    const guidelines = ACTION_GUIDELINES;
 
     if (!actionType || !guidelines[actionType]) {
       return {
@@ -267,21 +482,203 @@ export class DocumentationTool {
     };
   }
 
+  // Every cached document as an MCP resource
+  listResources() {
+    return Array.from(this.documentCache.entries()).map(([docName, doc]) => ({
+      uri: `docs://${docName}`,
+      name: docName,
+      title: doc.title,
+      description: doc.summary,
+      mimeType: 'text/markdown'
+    }));
+  }
+
+  // Contents of a docs://<name> resource
+  readResource(uri) {
+    const match = uri.match(/^docs:\/\/(.+)$/);
+    const doc = match && this.documentCache.get(match[1]);
+    if (!doc) {
+      throw new Error(`Resource '${uri}' not found. Available: ${this.listResources().map(resource => resource.uri).join(', ')}`);
+    }
+
+    return [{ uri, mimeType: 'text/markdown', text: doc.content }];
+  }
+
+  // Prompt templates with their arguments
+  listPrompts() {
+    return Object.entries(PROMPTS).map(([name, prompt]) => ({
+      name,
+      description: prompt.description,
+      arguments: prompt.arguments
+    }));
+  }
+
+  // Render a prompt, attaching the documents from its guidelines as embedded resources
+  getPrompt(name, args = {}) {
+    const prompt = PROMPTS[name];
+    if (!prompt) {
+      throw new Error(`Prompt '${name}' not found. Available: ${Object.keys(PROMPTS).join(', ')}`);
+    }
+
+    const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+    if (missing.length) {
+      throw new Error(`Missing required argument(s) for ${name}: ${missing.join(', ')}`);
+    }
+
+    const guideline = ACTION_GUIDELINES[prompt.guidelines];
+    const documents = guideline.rules
+      .filter(docName => this.documentCache.has(docName))
+      .map(docName => ({
+        role: 'user',
+        content: {
+          type: 'resource',
+          resource: { uri: `docs://${docName}`, mimeType: 'text/markdown', text: this.documentCache.get(docName).content }
+        }
+      }));
+
+    // The enforced rules are what the GitHub tool will actually check
+    const enforced = this.rules
+      ? [{ role: 'user', content: { type: 'text', text: this.getEnforcedRules(args.repoName).content[0].text } }]
+      : [];
+
+    return {
+      description: prompt.description,
+      messages: [
+        { role: 'user', content: { type: 'text', text: `${prompt.text(args)}\n\n📋 ${guideline.summary}` } },
+        ...enforced,
+        ...documents
+      ]
+    };
+  }
+
+  // Parse the review checklist sections from the code review document
+  getReviewChecklist() {
+    const doc = this.documentCache.get('code-review-best-practices');
+    if (!doc) return [];
+
+    const lines = doc.content.split('\n');
+    const start = lines.findIndex(line => /^##\s+Review Checklist/i.test(line));
+    if (start === -1) return [];
+
+    const sections = [];
+    for (let i = start + 1; i < lines.length && !/^##\s/.test(lines[i]); i++) {
+      const heading = lines[i].match(/^####\s+(.+)$/);
+      const item = lines[i].match(/^\s*-\s+\[[ x]\]\s+(.+)$/i);
+      if (heading) {
+        sections.push({ section: heading[1].trim(), items: [] });
+      } else if (item && sections.length > 0) {
+        sections[sections.length - 1].items.push(item[1].trim());
+      }
+    }
+
+    return sections;
+  }
+
+  // The company rules, or with a configured repository's overrides applied the way the GitHub tool applies them
+  rulesFor(repoName = null) {
+    if (!repoName) {
+      return this.rules;
+    }
+
+    const targetRepo = this.repositories.find(r => r.name === repoName || r.repo === repoName);
+    if (!targetRepo) {
+      throw new Error(`Repository '${repoName}' not found. Available repos: ${this.repositories.map(r => r.name).join(', ')}`);
+    }
+    return repositoryRules(this.rules, targetRepo);
+  }
+
   // Get specific rules to enforce during GitHub operations
-  getGitHubOperationRules() {
-    const gitRules = this.documentCache.get('git-best-practices');
-    const prRules = this.documentCache.get('how-to-make-github-prs');
-    
+  getGitHubOperationRules(repoName = null) {
+    if (!this.rules) {
+      return {};
+    }
+
+    const summary = summarizeRules(this.rulesFor(repoName));
+    return {
+      branchNaming: summary.branchNaming,
+      commitFormat: summary.commitFormat,
+      prRequirements: summary.pullRequest,
+      reviews: summary.reviews,
+      mergeStrategy: summary.mergeStrategy
+    };
+  }
+
+  // The enforced rules from config/rules.json, as checked by the GitHub tool
+  getEnforcedRules(repoName = null) {
+    if (!this.rules) {
+      throw new Error('No rules file loaded');
+    }
+
+    const rules = this.rulesFor(repoName);
+    const { branchNaming, commitFormat, pullRequest, reviews, mergeStrategy } = rules;
+    const summary = summarizeRules(rules);
+    const reviewers = [...reviews.reviewers, ...reviews.teamReviewers.map(team => `team ${team}`)];
+
     return {
-      branchNaming: 'Use prefixes: feature/, fix/, enhancement/, hotfix/',
-      commitFormat: 'Use conventional commits: feat:, fix:, docs:, style:, refactor:, test:, chore:',
-      prRequirements: 'Link to issues, use proper templates, request reviews',
-      mergeStrategy: 'Squash and merge for features, regular merge for hotfixes'
+      content: [
+        {
+          type: "text",
+          text: `📋 ${repoName ? `Enforced Rules for ${repoName} (company rules with the repository's overrides from config/repos.json)` : 'Enforced Company Rules (repositories may override these in config/repos.json)'}:
+
+**Branch Naming** - ${summary.branchNaming}
+• Max length: ${branchNaming.maxLength} characters, ${branchNaming.allowedCharsDescription}
+• Example: ${branchNaming.example}
+
+**Commit Format** - ${summary.commitFormat}
+${Object.entries(commitFormat.types).map(([type, { description }]) => `• ${type}: ${description}`).join('\n')}
+• Header max length: ${commitFormat.headerMaxLength} characters
+• Example: ${commitFormat.example}
+
+**Pull Requests** - ${summary.pullRequest}
+• Title: ${pullRequest.titleFormat === 'conventional' ? 'conventional commit format' : 'free form'}
+• Required body sections: ${pullRequest.requiredSections.join(', ') || 'none'}
+• Violations: ${pullRequest.enforcement === 'warn' ? 'warn' : 'refuse'}
+
+**Reviews** - ${summary.reviews}
+• Required approvals: ${reviews.requiredApprovals}
+• Default reviewers: ${reviewers.join(', ') || 'none'}
+
+**Merge Strategy** - ${summary.mergeStrategy}
+${Object.entries(mergeStrategy.prefixes).map(([prefix, method]) => `• ${prefix} → ${method}`).join('\n')}`
+        }
+      ]
     };
   }
 
   // Helper to get enforcement rules for GitHub tool
-  getEnforcementRules() {
-    return this.getGitHubOperationRules();
+  getEnforcementRules(repoName = null) {
+    return this.getGitHubOperationRules(repoName);
   }
 }
+
+// MCP tool definition, discovered by index.js
+export const definition = {
+  name: "docs",
+  uses: ['rules', 'repositories'],
+  create: ({ rules, repositories }) => new DocumentationTool({ rules, repositories }),
+  description: "Company documentation and best practices - enforces rules for development",
+  inputSchema: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        description: "Action to perform",
+        enum: ["list", "get", "search", "rules", "guidelines"]
+      },
+      document: {
+        type: "string", 
+        description: "Document name or category (git, coding, review, pr, github, or enforced for the configured rules); for search, limits results to one document"
+      },
+      query: {
+        type: "string",
+        description: "Search query: ranked by relevance across document sections. Use \"double quotes\" for phrases; misspelled words match close terms"
+      },
+      repoName: {
+        type: "string",
+        description: "For rules with document 'enforced': show the rules for this configured repository, with its overrides applied"
+      }
+    },
+    required: ["action"]
+  },
+  handler: (tool, args) => tool.run(args)
+};
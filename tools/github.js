@@ -1,7 +1,156 @@
-import { Octokit } from "octokit";
+import { AsyncLocalStorage } from 'async_hooks';
+import { GithubCredentials } from "../auth/github.js";
+import { repositoryRules } from "../rules/merge.js";
+import { summarizeRules } from "../rules/summary.js";
+
+// Fields accepted by each action. `legacy` maps the old taskBranch/taskDescription style onto them.
+const ACTION_ARGUMENTS = {
+  list_repos: { required: [], optional: [] },
+  diagnose: { required: [], optional: [] },
+  list_branches: { required: [], optional: ['pattern', 'limit', 'cursor'] },
+  list_prs: { required: [], optional: ['state', 'author', 'labels', 'base', 'pattern', 'limit', 'cursor'] },
+  search_code: { required: ['query'], optional: ['filepath', 'limit', 'cursor'] },
+  list_tree: { required: [], optional: ['filepath', 'branch', 'recursive', 'limit', 'cursor'] },
+  lint_commits: { required: [], optional: ['prNumber', 'branch', 'base'], oneOf: ['prNumber', 'branch'] },
+  compare: { required: ['base', 'head'], optional: [] },
+  release_notes: { required: ['base', 'head'], optional: [] },
+  create_release: { required: ['tag'], optional: ['target', 'base', 'title', 'draft', 'prerelease'] },
+  create_branch: {
+    required: [],
+    optional: ['branch', 'description', 'issueNumber'],
+    oneOf: ['branch', 'issueNumber'],
+    legacy: ({ taskBranch, taskDescription }) => ({ branch: taskBranch, description: taskDescription })
+  },
+  create_pr: {
+    required: ['head', 'title'],
+    optional: ['base', 'body', 'issueNumber', 'describe'],
+    legacy: ({ taskBranch, taskDescription }) => ({ head: taskBranch, title: taskDescription })
+  },
+  get_file: {
+    required: ['filepath'],
+    optional: ['branch'],
+    legacy: ({ taskBranch, taskDescription }) => ({ filepath: taskDescription, branch: taskBranch })
+  },
+  update_file: {
+    required: ['filepath', 'content', 'branch'],
+    optional: ['message'],
+    legacy: ({ taskBranch, taskDescription }) => {
+      let info;
+      try {
+        info = JSON.parse(taskDescription);
+      } catch (error) {
+        throw new Error(`Invalid arguments for update_file: field 'taskDescription' is not valid JSON (${error.message})`);
+      }
+      return { filepath: info.filepath, content: info.content, message: info.message, branch: taskBranch };
+    }
+  },
+  commit_changes: {
+    required: ['branch', 'message', 'operations'],
+    optional: [],
+    legacy: ({ taskBranch }) => ({ branch: taskBranch })
+  },
+  get_pr: { required: ['prNumber'], optional: [] },
+  get_pr_diff: { required: ['prNumber'], optional: ['filepath'] },
+  list_pr_files: { required: ['prNumber'], optional: [] },
+  comment_pr: { required: ['prNumber', 'body'], optional: ['filepath', 'line', 'side'] },
+  request_reviewers: { required: ['prNumber'], optional: ['reviewers', 'teamReviewers'] },
+  submit_review: { required: ['prNumber', 'event'], optional: ['body', 'comments'] },
+  merge_pr: { required: ['prNumber'], optional: ['mergeMethod', 'deleteBranch'] },
+  close_pr: { required: ['prNumber'], optional: ['body', 'deleteBranch'] },
+  list_issues: { required: [], optional: ['state', 'labels', 'assignee', 'milestone', 'limit', 'cursor'] },
+  get_issue: { required: ['issueNumber'], optional: [] },
+  create_issue: { required: ['title'], optional: ['body', 'labels', 'assignees', 'milestone'] },
+  update_issue: { required: ['issueNumber'], optional: ['title', 'body', 'state', 'labels', 'assignees', 'milestone'] },
+  comment_issue: { required: ['issueNumber', 'body'], optional: [] },
+  link_issue_to_pr: { required: ['issueNumber', 'prNumber'], optional: ['keyword'] },
+  get_checks: { required: [], optional: ['branch', 'prNumber'], oneOf: ['branch', 'prNumber'] },
+  list_workflow_runs: { required: [], optional: ['branch', 'workflow', 'limit', 'cursor'] },
+  get_run_logs: { required: ['runId'], optional: [] },
+  rerun_workflow: { required: ['runId'], optional: ['failedOnly'] },
+  dispatch_workflow: { required: ['workflow'], optional: ['branch', 'inputs'] }
+};
+
+// Non-string argument types; everything else must be a string
+const FIELD_TYPES = {
+  operations: 'array',
+  prNumber: 'number',
+  line: 'number',
+  reviewers: 'array',
+  teamReviewers: 'array',
+  comments: 'array',
+  deleteBranch: 'boolean',
+  issueNumber: 'number',
+  labels: 'array',
+  assignees: 'array',
+  runId: 'number',
+  failedOnly: 'boolean',
+  inputs: 'object',
+  limit: 'number',
+  recursive: 'boolean',
+  draft: 'boolean',
+  prerelease: 'boolean',
+  describe: 'boolean'
+};
+
+// Allowed values for enumerated string arguments
+const FIELD_ENUMS = {
+  event: ['approve', 'request_changes', 'comment'],
+  side: ['LEFT', 'RIGHT'],
+  mergeMethod: ['merge', 'squash', 'rebase'],
+  state: ['open', 'closed', 'all'],
+  keyword: ['Closes', 'Fixes', 'Resolves']
+};
+
+// Checkbox ticked when a commit in the PR is marked as breaking. Other change types come from the
+// `changeType` and `checkbox` of each commit type in the rules
+const BREAKING_CHANGE_TYPE = { commitType: 'breaking', label: 'Breaking change', checkbox: /\bbreaking\b/i };
+
+// Test and documentation files, for the missing-tests and missing-docs checks
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[a-z]+$|Test\.php$/i;
+const DOC_FILE_PATTERN = /\.md$|(^|\/)docs?\//i;
+
+// Commit subjects listed under "Changes Made" in a generated description
+const MAX_DESCRIBED_COMMITS = 20;
+
+// Where GitHub looks for PR templates, in order; each may be a file or a directory of templates
+const PR_TEMPLATE_DIRECTORIES = ['.github', '', 'docs'];
+
+// Git trailer style footer: "Token: value" or "Token #value"
+const FOOTER_PATTERN = /^(BREAKING CHANGE|[A-Za-z][\w-]*)(: | #)\S/;
+
+// Commits looked up individually for their PR when the message does not reference one
+const MAX_PR_LOOKUPS = 100;
+
+// Default and maximum page sizes for paginated listings
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// Workflow runs are listed newest first, and usually only the latest few matter
+const DEFAULT_RUN_LIMIT = 20;
+
+// Lines of log kept before each error when excerpting failed workflow steps
+const LOG_CONTEXT_LINES = 15;
+
+// Closing keywords GitHub recognises in PR bodies
+const CLOSING_KEYWORD_PATTERN = /\b(close[sd]?|fix(e[sd])?|resolve[sd]?)\s+#(\d+)\b/gi;
+
+// Check run conclusions that block a merge
+const FAILED_CONCLUSIONS = ['failure', 'cancelled', 'timed_out', 'action_required', 'startup_failure', 'stale'];
+
+// Diffs larger than this are truncated in responses
+const MAX_DIFF_LENGTH = 60000;
+
+// Responses warn once the remaining GitHub quota drops below this share of the limit
+const LOW_QUOTA_RATIO = 0.1;
+
+// Actions that do not act on the selected repository, so no credentials are resolved for them
+const LOCAL_ACTIONS = ['list_repos', 'diagnose'];
+
+// The client for the call in progress. A shared server runs calls for several sessions at once, so it
+// cannot live on the tool instance
+const callContext = new AsyncLocalStorage();
 
 export class GithubTool {
-  constructor({ repos, repo, token, defaultBranch = "develop", documentationTool = null }) {
+  constructor({ repos, repo, token, credentials = null, defaultBranch = "develop", documentationTool = null, rules }) {
     // Support both single repo (backwards compatibility) and multiple repos
     if (repos) {
       this.repos = repos;
@@ -9,53 +158,44 @@ export class GithubTool {
       this.repos = [{ name: repo.split('/')[1], repo, defaultBranch }];
     }
     
-    this.octokit = new Octokit({ auth: token });
+    this.credentials = credentials || new GithubCredentials({ token });
     this.docs = documentationTool;
+    this.rules = rules;
   }
 
-  async run({ repoName, taskBranch, taskDescription, action = 'create_branch' }) {
+  async run(args = {}) {
+    const { repoName, action = 'create_branch' } = args;
+
     try {
-      // Find the specified repository
-      const targetRepo = this.repos.find(r => r.name === repoName || r.repo === repoName);
-      if (!targetRepo) {
-        throw new Error(`Repository '${repoName}' not found. Available repos: ${this.repos.map(r => r.name).join(', ')}`);
-      }
-
-      const [owner, repo] = targetRepo.repo.split("/");
-      const branchName = taskBranch || `task-${Date.now()}`;
-
-      switch (action) {
-        case 'list_repos':
-          return this.listRepositoriesFormatted();
-        
-        case 'list_branches':
-          return await this.listBranches(owner, repo);
-        
-        case 'create_branch':
-          return await this.createBranch(owner, repo, branchName, targetRepo.defaultBranch, taskDescription);
-        
-        case 'create_pr':
-          return await this.createPullRequest(owner, repo, branchName, targetRepo.defaultBranch, taskDescription);
-        
-        case 'list_prs':
-          return await this.listPullRequests(owner, repo);
-        
-        case 'get_file':
-            // Use taskBranch if provided, otherwise use defaultBranch
-            return await this.getFileContent(owner, repo, taskDescription, taskBranch); // taskDescription as filepath
-        
-        case 'update_file':
-          return await this.updateFile(owner, repo, taskDescription, branchName); // taskDescription as file update info
-        
-        default:
-          throw new Error(`Unknown action: ${action}`);
+      // Find the specified repository; local actions cover every configured repository and need none
+      const isLocal = LOCAL_ACTIONS.includes(action);
+      if (!isLocal && !repoName) {
+        throw new Error(`repoName is required for ${action}. Available repos: ${this.repos.map(r => r.name).join(', ')}`);
+      }
+      const targetRepo = isLocal ? null : this.findRepository(repoName);
+
+      const [owner, repo] = targetRepo ? targetRepo.repo.split("/") : [];
+      const { params, deprecation } = this.resolveArguments(action, args);
+
+      const dispatch = async () => {
+        const result = await this.dispatch(action, owner, repo, targetRepo, params);
+        const quotaWarning = this.quotaWarning();
+        if (quotaWarning) {
+          result.content.push({ type: "text", text: quotaWarning });
+        }
+        return result;
+      };
+      const result = isLocal ? await dispatch() : await this.withRepository(targetRepo, dispatch);
+      if (deprecation) {
+        result.content.push({ type: "text", text: deprecation });
       }
+      return result;
     } catch (error) {
       return {
         content: [
           {
             type: "text",
-            text: `❌ Error: ${error.message}`
+            text: `❌ Error: ${this.rateLimitMessage(error) || error.message}`
           }
         ],
         isError: true
@@ -63,30 +203,342 @@ export class GithubTool {
     }
   }
 
-  // List all branches in a repository
-  async listBranches(owner, repo) {
-    const branches = await this.octokit.rest.repos.listBranches({
-      owner,
-      repo,
-      per_page: 50
-    });
+  // The quota GitHub last reported to the client used for this call, if it is running low
+  quotaWarning() {
+    const quota = this.octokit.rateLimit;
+    if (!quota || quota.remaining > quota.limit * LOW_QUOTA_RATIO) {
+      return null;
+    }
+    const reset = new Date(quota.reset * 1000).toISOString().slice(11, 16);
+    return `⚠️  GitHub API quota low: ${quota.remaining}/${quota.limit} ${quota.resource} requests left, resets at ${reset} UTC`;
+  }
+
+  // Rate-limit errors that survived the throttling retries, explained with when to try again
+  rateLimitMessage(error) {
+    const headers = error.response?.headers || {};
+    const rateLimited = error.status === 429 ||
+      (error.status === 403 && (headers['x-ratelimit-remaining'] === '0' || /rate limit/i.test(error.message)));
+    if (!rateLimited) {
+      return null;
+    }
+
+    if (headers['retry-after']) {
+      return `GitHub rate limit reached. Retry in ${headers['retry-after']} seconds.`;
+    }
+    if (headers['x-ratelimit-reset']) {
+      const reset = new Date(Number(headers['x-ratelimit-reset']) * 1000).toISOString().slice(11, 16);
+      return `GitHub rate limit reached. The quota resets at ${reset} UTC.`;
+    }
+    return 'GitHub rate limit reached. Wait a minute before retrying.';
+  }
+
+  get octokit() {
+    return callContext.getStore()?.octokit || this.credentials.defaultClient;
+  }
+
+  // Run fn on behalf of a client session; its GitHub token, if any, takes precedence over configured credentials
+  withSession(session, fn) {
+    return callContext.run({ session }, fn);
+  }
+
+  // Run fn with the client whose credentials apply to the repository
+  async withRepository(targetRepo, fn) {
+    const store = callContext.getStore() || {};
+    const { octokit } = await this.credentials.resolve(targetRepo, store.session?.githubToken);
+    return callContext.run({ ...store, octokit }, fn);
+  }
+
+  // Route a validated action to its implementation
+  async dispatch(action, owner, repo, targetRepo, params) {
+    switch (action) {
+      case 'list_repos':
+        return this.listRepositoriesFormatted();
+
+      case 'diagnose':
+        return await this.diagnose();
+
+      case 'list_branches':
+        return await this.listBranches(owner, repo, params);
+
+      case 'create_branch':
+        if (params.issueNumber) {
+          return await this.createBranchFromIssue(owner, repo, params.issueNumber, targetRepo.defaultBranch, params.branch);
+        }
+        return await this.createBranch(owner, repo, params.branch, targetRepo.defaultBranch, params.description);
+
+      case 'create_pr':
+        return await this.createPullRequest(owner, repo, params.head, params.base || targetRepo.defaultBranch, params.title, params.body, params.issueNumber, { describe: params.describe });
+
+      case 'list_prs':
+        return await this.listPullRequests(owner, repo, params);
+
+      case 'search_code':
+        return await this.searchCode(owner, repo, params);
+
+      case 'list_tree':
+        return await this.listTree(owner, repo, params.branch || targetRepo.defaultBranch, params);
+
+      case 'lint_commits':
+        return await this.lintCommits(owner, repo, { ...params, base: params.base || targetRepo.defaultBranch });
+
+      case 'compare':
+        return await this.compareRefs(owner, repo, params.base, params.head);
+
+      case 'release_notes':
+        return await this.releaseNotes(owner, repo, params.base, params.head);
+
+      case 'create_release':
+        return await this.createRelease(owner, repo, { ...params, target: params.target || targetRepo.defaultBranch });
+
+      case 'get_file':
+        return await this.getFileContent(owner, repo, params.filepath, params.branch || targetRepo.defaultBranch);
+
+      case 'update_file':
+        return await this.updateFile(owner, repo, params, params.branch);
+
+      case 'commit_changes':
+        return await this.commitChanges(owner, repo, params.branch, params.message, params.operations);
+
+      case 'get_pr':
+        return await this.getPullRequest(owner, repo, params.prNumber);
+
+      case 'get_pr_diff':
+        return await this.getPullRequestDiff(owner, repo, params.prNumber, params.filepath);
+
+      case 'list_pr_files':
+        return await this.listPullRequestFiles(owner, repo, params.prNumber);
+
+      case 'comment_pr':
+        return await this.commentPullRequest(owner, repo, params.prNumber, params);
+
+      case 'request_reviewers':
+        return await this.requestReviewers(owner, repo, params.prNumber, params.reviewers, params.teamReviewers);
+
+      case 'submit_review':
+        return await this.submitReview(owner, repo, params.prNumber, params.event, params.body, params.comments);
+
+      case 'merge_pr':
+        return await this.mergePullRequest(owner, repo, params.prNumber, params.mergeMethod, params.deleteBranch);
+
+      case 'close_pr':
+        return await this.closePullRequest(owner, repo, params.prNumber, params.body, params.deleteBranch);
+
+      case 'list_issues':
+        return await this.listIssues(owner, repo, params);
+
+      case 'get_issue':
+        return await this.getIssue(owner, repo, params.issueNumber);
+
+      case 'create_issue':
+        return await this.createIssue(owner, repo, params);
+
+      case 'update_issue':
+        return await this.updateIssue(owner, repo, params.issueNumber, params);
+
+      case 'comment_issue':
+        return await this.commentIssue(owner, repo, params.issueNumber, params.body);
+
+      case 'link_issue_to_pr':
+        return await this.linkIssueToPullRequest(owner, repo, params.issueNumber, params.prNumber, params.keyword);
+
+      case 'get_checks':
+        return await this.getChecks(owner, repo, params);
+
+      case 'list_workflow_runs':
+        return await this.listWorkflowRuns(owner, repo, params.branch, params.workflow, params);
+
+      case 'get_run_logs':
+        return await this.getRunLogs(owner, repo, params.runId);
+
+      case 'rerun_workflow':
+        return await this.rerunWorkflow(owner, repo, params.runId, params.failedOnly);
+
+      case 'dispatch_workflow':
+        return await this.dispatchWorkflow(owner, repo, params.workflow, params.branch || targetRepo.defaultBranch, params.inputs);
+
+      default:
+        throw new Error(`Unknown action: ${action}`);
+    }
+  }
+
+  // Map legacy taskBranch/taskDescription arguments and validate fields for the action
+  resolveArguments(action, args) {
+    const spec = ACTION_ARGUMENTS[action];
+    if (!spec) {
+      throw new Error(`Unknown action: ${action}. Available actions: ${Object.keys(ACTION_ARGUMENTS).join(', ')}`);
+    }
+
+    let params = { ...args };
+    let deprecation = null;
+
+    const usesLegacy = args.taskBranch !== undefined || args.taskDescription !== undefined;
+    if (usesLegacy && spec.legacy) {
+      // Explicit fields win over anything derived from the legacy arguments
+      const mapped = spec.legacy(args);
+      const filled = Object.keys(mapped).filter(field => args[field] === undefined && mapped[field] !== undefined);
+      filled.forEach(field => { params[field] = mapped[field]; });
+
+      if (filled.length > 0) {
+        deprecation = `⚠️  Deprecated: taskBranch/taskDescription are deprecated for ${action}. Pass ${filled.join(', ')} instead.`;
+        console.error(deprecation);
+      }
+    }
+
+    const missing = spec.required.filter(field => params[field] === undefined || params[field] === null);
+    if (missing.length > 0) {
+      throw new Error(`Invalid arguments for ${action}: missing required field${missing.length > 1 ? 's' : ''} ${missing.map(f => `'${f}'`).join(', ')}`);
+    }
+
+    if (spec.oneOf && spec.oneOf.every(field => params[field] === undefined || params[field] === null)) {
+      throw new Error(`Invalid arguments for ${action}: provide one of ${spec.oneOf.map(f => `'${f}'`).join(' or ')}`);
+    }
+
+    for (const field of [...spec.required, ...spec.optional]) {
+      const value = params[field];
+      if (value === undefined || value === null) continue;
+
+      const expected = FIELD_TYPES[field] || 'string';
+      if (expected === 'number') {
+        // Accept numeric strings such as "42" from clients that stringify everything
+        const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isInteger(number) || number <= 0) {
+          throw new Error(`Invalid arguments for ${action}: field '${field}' must be a positive integer`);
+        }
+        params[field] = number;
+        continue;
+      }
+      if (expected === 'object' && (typeof value !== 'object' || Array.isArray(value))) {
+        throw new Error(`Invalid arguments for ${action}: field '${field}' must be an object`);
+      }
+      if (expected === 'boolean' && typeof value !== 'boolean') {
+        throw new Error(`Invalid arguments for ${action}: field '${field}' must be true or false`);
+      }
+      if (expected === 'array' && !Array.isArray(value)) {
+        throw new Error(`Invalid arguments for ${action}: field '${field}' must be an array`);
+      }
+      if (expected === 'string' && typeof value !== 'string') {
+        throw new Error(`Invalid arguments for ${action}: field '${field}' must be a string`);
+      }
+      if (expected === 'string' && value.trim() === '' && field !== 'content') {
+        throw new Error(`Invalid arguments for ${action}: field '${field}' must not be empty`);
+      }
+      if (FIELD_ENUMS[field] && !FIELD_ENUMS[field].includes(value)) {
+        throw new Error(`Invalid arguments for ${action}: field '${field}' must be one of ${FIELD_ENUMS[field].join(', ')}`);
+      }
+    }
+
+    return { params, deprecation };
+  }
+
+  // List branches, following pagination, optionally filtered by a name glob
+  async listBranches(owner, repo, { pattern, limit, cursor } = {}) {
+    const matcher = pattern ? this.globToRegExp(pattern) : null;
+    const page = await this.collectPage(
+      this.octokit.rest.repos.listBranches,
+      { owner, repo, per_page: 100 },
+      branch => !matcher || matcher.test(branch.name),
+      { limit, cursor }
+    );
 
     return {
       content: [
         {
           type: "text",
-          text: `📋 Branches in ${owner}/${repo}:\n${branches.data.map(branch => 
+          text: `📋 Branches in ${owner}/${repo}${pattern ? ` matching '${pattern}'` : ''}:\n${page.items.map(branch =>
             `• ${branch.name}${branch.protected ? ' (protected)' : ''}`
-          ).join('\n')}`
+          ).join('\n') || 'No matching branches'}${this.formatPageFooter(page)}`
         }
       ]
     };
   }
 
+  // Walk pages lazily until enough filtered items are collected for one page of results. The cursor records
+  // the GitHub page and the position in it where the next result starts, so a later call resumes there
+  // instead of walking every page again
+  async collectPage(method, params, filter, { limit, cursor } = {}) {
+    const size = Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT);
+    const start = this.decodeCursor(cursor);
+    // Page numbers only mean the same thing at the same page size
+    const query = { ...params, per_page: start.perPage || params.per_page, page: start.page };
+    const items = [];
+    let total = null;
+    let next = null;
+    let pageNumber = start.page;
+
+    for await (const response of this.octokit.paginate.iterator(method, query)) {
+      // Search-style endpoints report their unfiltered total on every page
+      if (response.data.total_count !== undefined) total = response.data.total_count;
+
+      const data = response.data;
+      for (let index = pageNumber === start.page ? start.index : 0; index < data.length; index++) {
+        if (!filter(data[index])) continue;
+        if (items.length === size) {
+          next = { page: pageNumber, index };
+          break;
+        }
+        items.push(data[index]);
+      }
+
+      // A full page that ends with the last item on this GitHub page continues on the next one, if there is one
+      if (!next && items.length === size && /rel="next"/.test(response.headers.link || '')) {
+        next = { page: pageNumber + 1, index: 0 };
+      }
+      if (next || items.length === size) break;
+      pageNumber++;
+    }
+
+    const nextCursor = next ? this.encodeCursor({ ...next, offset: start.offset + items.length, perPage: query.per_page }) : null;
+    return { items, offset: start.offset, total, nextCursor };
+  }
+
+  // Cursors are opaque to callers. Internally they hold the GitHub page and the index in it to resume from,
+  // the page size they were made with, and how many results came before (for the "Showing" range)
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const position = { page: 1, index: 0, offset: 0, perPage: null };
+    if (!cursor) return position;
+    try {
+      const decoded = { ...position, ...JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) };
+      const valid = Number.isInteger(decoded.page) && decoded.page >= 1 &&
+        [decoded.index, decoded.offset].every(value => Number.isInteger(value) && value >= 0) &&
+        (decoded.perPage === null || (Number.isInteger(decoded.perPage) && decoded.perPage >= 1));
+      if (valid) return decoded;
+    } catch (error) {
+      // Fall through to the error below
+    }
+    throw new Error(`Invalid cursor '${cursor}'. Use the cursor value from a previous response`);
+  }
+
+  // "Showing 101-200" footer with the cursor for the next page
+  formatPageFooter({ items, offset, nextCursor }) {
+    if (items.length === 0) return '';
+    const range = `${offset + 1}-${offset + items.length}`;
+    return nextCursor
+      ? `\n\n📄 Showing ${range}. More results available: pass cursor '${nextCursor}'`
+      : `\n\n📄 Showing ${range} (end of results)`;
+  }
+
+  // Convert a branch glob like "feature/*" or "release/**" into a RegExp
+  globToRegExp(glob) {
+    const source = glob
+      .split(/(\*\*|\*|\?)/)
+      .map(part => {
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}$`);
+  }
+
   // Create a new branch from develop
   async createBranch(owner, repo, branchName, baseBranch, description) {
     // Validate branch name according to company rules
-    const validation = this.validateBranchName(branchName);
+    const validation = this.validateBranchName(branchName, this.getRules(owner, repo));
     if (!validation.isValid) {
       return {
         content: [
@@ -124,10 +576,63 @@ export class GithubTool {
     };
   }
 
-  // Create a pull request
-  async createPullRequest(owner, repo, headBranch, baseBranch, title) {
-    // Generate PR body following company guidelines
-    const prBody = this.generatePRBody(title, headBranch, baseBranch);
+  // Create a branch named after an issue, e.g. fix/123-login-fails-on-safari
+  async createBranchFromIssue(owner, repo, issueNumber, baseBranch, branchName = null) {
+    const { data: issue } = await this.octokit.rest.issues.get({
+      owner,
+      repo,
+      issue_number: issueNumber
+    });
+
+    const rules = this.getRules(owner, repo);
+    const labels = issue.labels.map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+    const prefix = this.choosePrefix(({ issueLabels = [] }) => issueLabels.some(name => labels.includes(name)), rules);
+    const branch = branchName || this.buildBranchName(prefix, `${issue.number} ${issue.title}`, rules);
+
+    return await this.createBranch(owner, repo, branch, baseBranch, `#${issue.number} ${issue.title} (${issue.html_url})`);
+  }
+
+  // Build a branch name from a prefix and free text, kept within the length limit
+  buildBranchName(prefix, text, rules = this.rules) {
+    const { maxLength } = rules.branchNaming;
+    const slug = text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, maxLength - prefix.length)
+      .replace(/-+$/, '');
+    return `${prefix}${slug}`;
+  }
+
+  // Open a pull request and request the default reviewers. Returns the created PR (`pr` is GitHub's pull request
+  // object) with how its body was built, or `pr: null` when the rules refuse it
+  async openPullRequest(owner, repo, headBranch, baseBranch, title, body = null, issueNumber = null, { describe = false } = {}) {
+    const rules = this.getRules(owner, repo);
+
+    // Use the caller's body, else the repo's own PR template, else the company template
+    const template = body ? null : await this.loadPullRequestTemplate(owner, repo, baseBranch, headBranch);
+    let prBody = body || this.fillPullRequestTemplate(
+      template ? template.content : this.generatePRBody(title, headBranch, baseBranch, issueNumber),
+      { title, headBranch, baseBranch, issueNumber },
+      rules
+    );
+
+    // Optionally describe the change from the commits and files between base and head
+    const analysis = describe && !body ? await this.analyzeChanges(owner, repo, baseBranch, headBranch) : null;
+    if (analysis) {
+      prBody = this.describeChanges(prBody, analysis);
+    }
+
+    if (issueNumber && !new RegExp(`#${issueNumber}\\b`).test(prBody)) {
+      prBody = this.injectClosingKeyword(prBody, issueNumber);
+    }
+
+    // The title becomes the squash commit message, so it is linted like one.
+    // Generated bodies follow the repo's own template, so only a supplied body is checked for sections
+    const violations = this.validatePullRequest(title, body ? prBody : null, rules);
+    if (violations.length && rules.pullRequest.enforcement !== 'warn') {
+      return { pr: null, rules, violations };
+    }
     
     const pr = await this.octokit.rest.pulls.create({
       owner,
@@ -138,50 +643,1203 @@ export class GithubTool {
       body: prBody
     });
 
-    const guidelines = this.getPRGuidelines();
+    const reviewRequest = await this.requestDefaultReviewers(owner, repo, pr.data.number, rules);
+    return { pr: pr.data, rules, violations, template, analysis, reviewRequest };
+  }
+
+  // Create a pull request
+  async createPullRequest(owner, repo, headBranch, baseBranch, title, body = null, issueNumber = null, { describe = false } = {}) {
+    const { pr, rules, violations, template, analysis, reviewRequest } =
+      await this.openPullRequest(owner, repo, headBranch, baseBranch, title, body, issueNumber, { describe });
+    if (!pr) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ PR validation failed:\n${this.formatViolations(violations)}\n\n${this.getCommitMessageGuidelines(rules)}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const guidelines = this.getPRGuidelines(rules);
+
+    // CI is informational here; a failure to read it must not hide the created PR
+    let ciSummary;
+    try {
+      ciSummary = this.formatCIStatus(headBranch, await this.getCIStatus(owner, repo, pr.head.sha), false);
+    } catch (error) {
+      ciSummary = `⚠️  Could not read CI status for '${headBranch}': ${error.message}`;
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Created PR #${pr.number}: ${pr.html_url}\n📋 ${headBranch} → ${baseBranch}\n📝 Body: ${body ? 'as provided' : template ? `repository template ${template.path}` : 'company template'}${analysis ? `, described from ${analysis.commitCount} commit(s) and ${analysis.fileCount} file(s)${analysis.missingTests ? '\n⚠️  Source files changed without test changes' : ''}` : ''}\n${ciSummary}${reviewRequest ? `\n${reviewRequest}` : ''}${violations.length ? `\n\n⚠️  PR does not follow company rules:\n${this.formatViolations(violations)}` : ''}\n\n${guidelines}`
+        }
+      ]
+    };
+  }
+
+  // List pull requests, following pagination, filtered by state, author, labels, base and head glob
+  async listPullRequests(owner, repo, { state = 'open', author, labels, base, pattern, limit, cursor } = {}) {
+    const matcher = pattern ? this.globToRegExp(pattern) : null;
+    const wantedLabels = (labels || []).map(label => label.toLowerCase());
+    const page = await this.collectPage(
+      this.octokit.rest.pulls.list,
+      { owner, repo, state, per_page: 100, ...(base ? { base } : {}) },
+      pr => (!author || pr.user.login.toLowerCase() === author.toLowerCase()) &&
+        (!matcher || matcher.test(pr.head.ref)) &&
+        wantedLabels.every(label => pr.labels.some(l => l.name.toLowerCase() === label)),
+      { limit, cursor }
+    );
+
+    const filters = [
+      `state: ${state}`,
+      author ? `author: ${author}` : null,
+      wantedLabels.length ? `labels: ${labels.join(', ')}` : null,
+      base ? `base: ${base}` : null,
+      pattern ? `head: ${pattern}` : null
+    ].filter(Boolean).join(' • ');
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 Pull Requests in ${owner}/${repo} (${filters}):\n${page.items.map(pr =>
+            `• #${pr.number}: ${pr.title}${state !== 'open' ? ` [${pr.merged_at ? 'merged' : pr.state}]` : ''}\n  ${pr.head.ref} → ${pr.base.ref} by ${pr.user.login} (${pr.html_url})`
+          ).join('\n\n') || 'No matching pull requests'}${this.formatPageFooter(page)}`
+        }
+      ]
+    };
+  }
+
+  // Search code in the repository using GitHub code search
+  async searchCode(owner, repo, { query, filepath, limit, cursor }) {
+    const q = `${query} repo:${owner}/${repo}${filepath ? ` path:${filepath}` : ''}`;
+    const page = await this.collectPage(
+      this.octokit.rest.search.code,
+      { q, per_page: 100, headers: { accept: 'application/vnd.github.text-match+json' } },
+      () => true,
+      { limit: limit || 20, cursor }
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🔍 Code search for "${query}" in ${owner}/${repo}${filepath ? ` (path: ${filepath})` : ''}:\n${page.items.map(item => {
+            const fragments = (item.text_matches || []).slice(0, 2).map(match => `   ${match.fragment.trim().split('\n').join('\n   ')}`);
+            return `📄 ${item.path}\n${fragments.join('\n   ...\n')}`;
+          }).join('\n\n') || 'No results'}${this.formatPageFooter(page)}`
+        }
+      ]
+    };
+  }
+
+  // Browse the files and directories under a path at a ref
+  async listTree(owner, repo, ref, { filepath = '', recursive = false, limit, cursor }) {
+    const prefix = filepath.replace(/^\/+|\/+$/g, '');
+    // Fetch only the requested directory; "<ref>:<path>" names its tree, and entry paths are relative to it
+    let tree;
+    try {
+      ({ data: tree } = await this.octokit.rest.git.getTree({
+        owner,
+        repo,
+        tree_sha: prefix ? `${ref}:${prefix}` : ref,
+        ...(recursive ? { recursive: 'true' } : {})
+      }));
+    } catch (error) {
+      if (prefix && (error.status === 404 || error.status === 422)) {
+        throw new Error(`Directory '${prefix}' not found in ${owner}/${repo}:${ref}`);
+      }
+      throw error;
+    }
+
+    const size = Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT);
+    // The whole tree comes back in one response, so the cursor only needs the offset into it
+    const { offset } = this.decodeCursor(cursor);
+    const items = tree.tree.slice(offset, offset + size);
+    const page = { items, offset, nextCursor: tree.tree.length > offset + size ? this.encodeCursor({ offset: offset + size }) : null };
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📁 ${owner}/${repo}:${ref}/${prefix}${recursive ? ' (recursive)' : ''}:\n${items.map(entry =>
+            `${entry.type === 'tree' ? '📁' : '📄'} ${entry.path}${entry.type === 'tree' ? '/' : entry.size !== undefined ? ` (${entry.size} bytes)` : ''}`
+          ).join('\n') || 'Empty directory'}${this.formatPageFooter(page)}${tree.truncated ? `\n⚠️  GitHub truncated this tree, so the listing is incomplete${recursive ? '. Browse a subdirectory, or list without recursive' : ''}` : ''}`
+        }
+      ]
+    };
+  }
+
+  // Get pull request details with a first-pass review checklist
+  async getPullRequest(owner, repo, prNumber) {
+    const { data: pr } = await this.octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: prNumber
+    });
+    const files = await this.fetchPullRequestFiles(owner, repo, prNumber);
+    const reviewers = pr.requested_reviewers?.map(r => r.login).join(', ') || 'none';
+    const state = pr.merged ? 'merged' : pr.draft ? `${pr.state} (draft)` : pr.state;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 PR #${pr.number}: ${pr.title}\n🔗 ${pr.html_url}\n👤 ${pr.user.login} • ${state} • ${pr.head.ref} → ${pr.base.ref}\n📊 ${pr.commits} commit(s), ${pr.changed_files} file(s), +${pr.additions}/-${pr.deletions}\n👀 Requested reviewers: ${reviewers}\n\n${pr.body || 'No description'}\n\n${this.formatReviewChecklist(this.crossCheckReview(files, ''))}`
+        }
+      ]
+    };
+  }
+
+  // Get the unified diff of a pull request, optionally for a single file
+  async getPullRequestDiff(owner, repo, prNumber, filepath) {
+    let diff;
+    if (filepath) {
+      const files = await this.fetchPullRequestFiles(owner, repo, prNumber);
+      const file = files.find(f => f.filename === filepath);
+      if (!file) {
+        throw new Error(`File '${filepath}' is not changed in PR #${prNumber}`);
+      }
+      diff = `--- a/${file.previous_filename || file.filename}\n+++ b/${file.filename}\n${file.patch || '(binary or too large to display)'}`;
+    } else {
+      const response = await this.octokit.rest.pulls.get({
+        owner,
+        repo,
+        pull_number: prNumber,
+        mediaType: { format: 'diff' }
+      });
+      diff = response.data;
+    }
+
+    const truncated = diff.length > MAX_DIFF_LENGTH;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📄 Diff for PR #${prNumber}${filepath ? ` (${filepath})` : ''}:\n\`\`\`diff\n${truncated ? diff.slice(0, MAX_DIFF_LENGTH) : diff}\n\`\`\`${truncated ? `\n\n⚠️  Diff truncated at ${MAX_DIFF_LENGTH} characters. Pass filepath to view a single file.` : ''}`
+        }
+      ]
+    };
+  }
+
+  // List files changed in a pull request
+  async listPullRequestFiles(owner, repo, prNumber) {
+    const files = await this.fetchPullRequestFiles(owner, repo, prNumber);
 
     return {
       content: [
         {
           type: "text",
-          text: `✅ Created PR #${pr.data.number}: ${pr.data.html_url}\n📋 ${headBranch} → ${baseBranch}\n\n${guidelines}`
+          text: `📋 Files changed in PR #${prNumber} (${files.length}):\n${files.map(file =>
+            `• ${file.filename} (${file.status}, +${file.additions}/-${file.deletions})${file.previous_filename ? ` ← ${file.previous_filename}` : ''}`
+          ).join('\n')}`
         }
       ]
     };
   }
 
-  // List pull requests
-  async listPullRequests(owner, repo) {
-    const prs = await this.octokit.rest.pulls.list({
-      owner,
-      repo,
-      state: 'open',
-      per_page: 20
+  // All changed files of a pull request
+  async fetchPullRequestFiles(owner, repo, prNumber) {
+    return await this.octokit.paginate(this.octokit.rest.pulls.listFiles, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100
+    });
+  }
+
+  // Comment on a pull request, inline on a file line when filepath and line are given
+  async commentPullRequest(owner, repo, prNumber, { body, filepath, line, side }) {
+    if (filepath || line) {
+      if (!filepath || !line) {
+        throw new Error('Inline comments need both filepath and line');
+      }
+
+      const { data: pr } = await this.octokit.rest.pulls.get({
+        owner,
+        repo,
+        pull_number: prNumber
+      });
+      const { data: comment } = await this.octokit.rest.pulls.createReviewComment({
+        owner,
+        repo,
+        pull_number: prNumber,
+        commit_id: pr.head.sha,
+        path: filepath,
+        line,
+        side: side || 'RIGHT',
+        body
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Commented on ${filepath}:${line} in PR #${prNumber}\n🔗 ${comment.html_url}`
+          }
+        ]
+      };
+    }
+
+    const { data: comment } = await this.octokit.rest.issues.createComment({
+      owner,
+      repo,
+      issue_number: prNumber,
+      body
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Commented on PR #${prNumber}\n🔗 ${comment.html_url}`
+        }
+      ]
+    };
+  }
+
+  // Request user and team reviewers on a pull request
+  async requestReviewers(owner, repo, prNumber, reviewers = [], teamReviewers = []) {
+    if (reviewers.length === 0 && teamReviewers.length === 0) {
+      throw new Error('Provide reviewers or teamReviewers');
+    }
+
+    await this.octokit.rest.pulls.requestReviewers({
+      owner,
+      repo,
+      pull_number: prNumber,
+      reviewers,
+      team_reviewers: teamReviewers
+    });
+
+    const requested = [...reviewers, ...teamReviewers.map(team => `team:${team}`)];
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Requested review on PR #${prNumber} from: ${requested.join(', ')}`
+        }
+      ]
+    };
+  }
+
+  // Submit a review (approve, request changes or comment) with optional inline comments
+  async submitReview(owner, repo, prNumber, event, body = '', comments = []) {
+    if (event !== 'approve' && !body) {
+      throw new Error(`'body' is required to ${event === 'request_changes' ? 'request changes' : 'comment'}`);
+    }
+
+    const invalid = comments.find(c => !c || !c.path || !c.line || !c.body);
+    if (invalid) {
+      throw new Error(`Each review comment needs path, line and body: ${JSON.stringify(invalid)}`);
+    }
+
+    const files = await this.fetchPullRequestFiles(owner, repo, prNumber);
+    const reviewText = [body, ...comments.map(c => c.body)].join('\n');
+    const crossCheck = this.crossCheckReview(files, reviewText);
+
+    const { data: review } = await this.octokit.rest.pulls.createReview({
+      owner,
+      repo,
+      pull_number: prNumber,
+      event: event.toUpperCase(),
+      body,
+      comments: comments.map(c => ({ path: c.path, line: c.line, side: c.side || 'RIGHT', body: c.body }))
+    });
+
+    const verdict = { approve: '✅ Approved', request_changes: '🔴 Requested changes on', comment: '💬 Commented on' }[event];
+    const warning = event === 'approve' && crossCheck.findings.length > 0
+      ? `\n\n⚠️  Approved with open checklist findings - make sure they were considered.`
+      : '';
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${verdict} PR #${prNumber} (${comments.length} inline comment(s))\n🔗 ${review.html_url}${warning}\n\n${this.formatReviewChecklist(crossCheck)}`
+        }
+      ]
+    };
+  }
+
+  // Merge a pull request after enforcing merge strategy, CI status and approvals
+  async mergePullRequest(owner, repo, prNumber, mergeMethod, deleteBranch = false) {
+    const { data: pr } = await this.octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: prNumber
+    });
+
+    if (pr.merged) {
+      throw new Error(`PR #${prNumber} is already merged`);
+    }
+    if (pr.state !== 'open') {
+      throw new Error(`PR #${prNumber} is ${pr.state}`);
+    }
+    if (pr.draft) {
+      throw new Error(`PR #${prNumber} is a draft. Mark it ready for review first`);
+    }
+
+    const rules = this.getRules(owner, repo);
+    const strategy = this.resolveMergeMethod(pr.head.ref, mergeMethod, rules);
+    if (!strategy.isValid) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Merge strategy check failed: ${strategy.error}\n\n📋 Company Rules: ${summarizeRules(rules).mergeStrategy}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const protection = await this.getBranchProtection(owner, repo, pr.base.ref);
+    const ci = await this.getCIStatus(owner, repo, pr.head.sha, protection.requiredChecks);
+    const approvals = await this.getApprovalStatus(owner, repo, prNumber, protection.requiredApprovals ?? rules.reviews.requiredApprovals);
+
+    const blockers = [];
+    if (pr.mergeable === false) {
+      blockers.push('PR has merge conflicts with the base branch');
+    }
+    if (ci.failed.length > 0) {
+      blockers.push(`Required checks failing: ${ci.failed.join(', ')}`);
+    }
+    if (ci.pending.length > 0) {
+      blockers.push(`Required checks still running: ${ci.pending.join(', ')}`);
+    }
+    if (approvals.changesRequested.length > 0) {
+      blockers.push(`Changes requested by: ${approvals.changesRequested.join(', ')}`);
+    }
+    if (approvals.approved.length < approvals.required) {
+      blockers.push(`Needs ${approvals.required} approval(s), has ${approvals.approved.length}`);
+    }
+
+    if (blockers.length > 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Refusing to merge PR #${prNumber}:\n${blockers.map(b => `• ${b}`).join('\n')}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    const { data: merge } = await this.octokit.rest.pulls.merge({
+      owner,
+      repo,
+      pull_number: prNumber,
+      merge_method: strategy.method,
+      sha: pr.head.sha
+    });
+
+    const cleanup = deleteBranch ? await this.deleteHeadBranch(owner, repo, pr) : '';
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Merged PR #${prNumber} (${strategy.method}) into '${pr.base.ref}'\n🔖 ${merge.sha.substring(0, 7)}\n${strategy.message}${cleanup ? `\n${cleanup}` : ''}`
+        }
+      ]
+    };
+  }
+
+  // Close a pull request without merging, with an optional explanation
+  async closePullRequest(owner, repo, prNumber, body, deleteBranch = false) {
+    if (body) {
+      await this.octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: prNumber,
+        body
+      });
+    }
+
+    const { data: pr } = await this.octokit.rest.pulls.update({
+      owner,
+      repo,
+      pull_number: prNumber,
+      state: 'closed'
+    });
+
+    const cleanup = deleteBranch ? await this.deleteHeadBranch(owner, repo, pr) : '';
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Closed PR #${prNumber} without merging${body ? ' (comment added)' : ''}${cleanup ? `\n${cleanup}` : ''}`
+        }
+      ]
+    };
+  }
+
+  // Pick or validate the merge method for a head branch according to company rules
+  resolveMergeMethod(headBranch, requested, rules = this.rules) {
+    const strategies = rules.mergeStrategy.prefixes;
+    const prefix = Object.keys(strategies).find(p => headBranch.startsWith(p));
+
+    if (!prefix) {
+      if (!requested) {
+        return {
+          isValid: false,
+          error: `No merge strategy is defined for '${headBranch}'. Pass mergeMethod explicitly`
+        };
+      }
+      return { isValid: true, method: requested, message: `⚠️  No company rule for '${headBranch}', used requested '${requested}'` };
+    }
+
+    const method = strategies[prefix];
+    if (requested && requested !== method) {
+      return {
+        isValid: false,
+        error: `'${prefix}' branches must use '${method}', not '${requested}'`
+      };
+    }
+
+    return { isValid: true, method, message: `✅ Merge method follows company rules for '${prefix}' branches` };
+  }
+
+  // Required checks and approvals from branch protection, when the token can read it
+  async getBranchProtection(owner, repo, branch) {
+    try {
+      const { data } = await this.octokit.rest.repos.getBranchProtection({
+        owner,
+        repo,
+        branch
+      });
+      return {
+        requiredChecks: data.required_status_checks?.contexts ?? null,
+        requiredApprovals: data.required_pull_request_reviews?.required_approving_review_count ?? null
+      };
+    } catch (error) {
+      // Unprotected branch, or no admin access: treat every check as required
+      return { requiredChecks: null, requiredApprovals: null };
+    }
+  }
+
+  // Combined commit status and check runs for a ref; requiredChecks limits which ones block
+  async getCIStatus(owner, repo, ref, requiredChecks = null) {
+    const [{ data: combined }, checkRuns] = await Promise.all([
+      this.octokit.rest.repos.getCombinedStatusForRef({ owner, repo, ref }),
+      this.octokit.paginate(this.octokit.rest.checks.listForRef, { owner, repo, ref, per_page: 100 })
+    ]);
+
+    const checks = [
+      ...combined.statuses.map(status => ({
+        name: status.context,
+        state: status.state === 'pending' ? 'pending' : status.state === 'success' ? 'success' : 'failure',
+        url: status.target_url
+      })),
+      ...checkRuns.map(run => ({
+        name: run.name,
+        state: run.status !== 'completed' ? 'pending' : FAILED_CONCLUSIONS.includes(run.conclusion) ? 'failure' : 'success',
+        url: run.html_url
+      }))
+    ];
+
+    const relevant = requiredChecks ? checks.filter(check => requiredChecks.includes(check.name)) : checks;
+    const missing = requiredChecks ? requiredChecks.filter(name => !checks.some(check => check.name === name)) : [];
+
+    const failed = relevant.filter(check => check.state === 'failure').map(check => check.name);
+    const pending = [...relevant.filter(check => check.state === 'pending').map(check => check.name), ...missing];
+    const state = failed.length > 0 ? 'failure' : pending.length > 0 ? 'pending' : 'success';
+
+    return { state, checks, failed, pending };
+  }
+
+  // Render CI status, listing each check when detailed
+  formatCIStatus(ref, ci, detailed = true) {
+    const icons = { success: '✅', failure: '❌', pending: '⏳' };
+    if (ci.checks.length === 0) {
+      return `⚪ CI on '${ref}': no checks reported`;
+    }
+
+    const header = `${icons[ci.state]} CI on '${ref}': ${ci.state} (${ci.checks.length} check(s)${ci.failed.length ? `, failing: ${ci.failed.join(', ')}` : ''}${ci.pending.length ? `, pending: ${ci.pending.join(', ')}` : ''})`;
+    if (!detailed) {
+      return header;
+    }
+
+    return `${header}\n${ci.checks.map(check =>
+      `${icons[check.state]} ${check.name}${check.url ? `\n   ${check.url}` : ''}`
+    ).join('\n')}`;
+  }
+
+  // Combined status and check runs for a branch or pull request head
+  async getChecks(owner, repo, { branch, prNumber }) {
+    let ref = branch;
+    let label = branch;
+    let requiredChecks = null;
+
+    if (prNumber) {
+      const { data: pr } = await this.octokit.rest.pulls.get({
+        owner,
+        repo,
+        pull_number: prNumber
+      });
+      ref = pr.head.sha;
+      label = `PR #${prNumber} (${pr.head.ref})`;
+      requiredChecks = (await this.getBranchProtection(owner, repo, pr.base.ref)).requiredChecks;
+    }
+
+    const ci = await this.getCIStatus(owner, repo, ref, requiredChecks);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${this.formatCIStatus(label, ci)}${requiredChecks ? `\n\n🔒 Required checks: ${requiredChecks.join(', ') || 'none'}` : ''}`
+        }
+      ]
+    };
+  }
+
+  // List recent GitHub Actions runs, optionally for one branch or workflow
+  async listWorkflowRuns(owner, repo, branch, workflow, { limit = DEFAULT_RUN_LIMIT, cursor } = {}) {
+    // A GitHub page the size of the result page keeps each call to one request
+    const query = { owner, repo, per_page: Math.min(limit, 100), ...(branch ? { branch } : {}) };
+    const page = workflow
+      ? await this.collectPage(this.octokit.rest.actions.listWorkflowRuns, { ...query, workflow_id: workflow }, () => true, { limit, cursor })
+      : await this.collectPage(this.octokit.rest.actions.listWorkflowRunsForRepo, query, () => true, { limit, cursor });
+
+    const icon = run => run.status !== 'completed' ? '⏳' : run.conclusion === 'success' ? '✅' : FAILED_CONCLUSIONS.includes(run.conclusion) ? '❌' : '⚪';
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 Workflow runs in ${owner}/${repo}${branch ? ` on '${branch}'` : ''}${workflow ? ` for ${workflow}` : ''}${page.total !== null ? ` (${page.total} total)` : ''}:\n${page.items.map(run =>
+            `${icon(run)} ${run.name} #${run.run_number} (run ${run.id}) - ${run.status === 'completed' ? run.conclusion : run.status}\n   ${run.head_branch} @ ${run.head_sha.substring(0, 7)} • ${run.event} • ${run.created_at}\n   ${run.html_url}`
+          ).join('\n') || 'No workflow runs'}${this.formatPageFooter(page)}`
+        }
+      ]
+    };
+  }
+
+  // Summarize a workflow run, with log excerpts for failed steps
+  async getRunLogs(owner, repo, runId) {
+    const { data: run } = await this.octokit.rest.actions.getWorkflowRun({
+      owner,
+      repo,
+      run_id: runId
+    });
+    const jobs = await this.octokit.paginate(this.octokit.rest.actions.listJobsForWorkflowRun, {
+      owner,
+      repo,
+      run_id: runId,
+      per_page: 100
+    });
+
+    const sections = [];
+    for (const job of jobs) {
+      const failedSteps = (job.steps || []).filter(step => FAILED_CONCLUSIONS.includes(step.conclusion));
+      const jobFailed = FAILED_CONCLUSIONS.includes(job.conclusion);
+      sections.push(`${jobFailed ? '❌' : job.status !== 'completed' ? '⏳' : '✅'} Job: ${job.name} - ${job.conclusion || job.status}${failedSteps.map(step => `\n   ❌ Step ${step.number}: ${step.name}`).join('')}`);
+
+      if (jobFailed) {
+        sections.push(await this.getJobLogExcerpt(owner, repo, job, failedSteps));
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 ${run.name} #${run.run_number} (run ${run.id}) - ${run.status === 'completed' ? run.conclusion : run.status}\n🔗 ${run.html_url}\n🌿 ${run.head_branch} @ ${run.head_sha.substring(0, 7)}\n\n${sections.join('\n\n')}`
+        }
+      ]
+    };
+  }
+
+  // Pull the lines leading up to each error in a failed job's log
+  async getJobLogExcerpt(owner, repo, job, failedSteps) {
+    let log;
+    try {
+      const response = await this.octokit.rest.actions.downloadJobLogsForWorkflowRun({
+        owner,
+        repo,
+        job_id: job.id
+      });
+      log = String(response.data);
+    } catch (error) {
+      return `   ⚠️  Could not download logs for '${job.name}': ${error.message}`;
+    }
+
+    // Strip the timestamp GitHub prefixes to every log line
+    const lines = log.split('\n').map(line => line.replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z\s?/, ''));
+    const errorIndexes = lines
+      .map((line, index) => (/##\[error\]/.test(line) ? index : -1))
+      .filter(index => index !== -1);
+
+    let excerpt;
+    if (errorIndexes.length > 0) {
+      const ranges = errorIndexes.slice(0, 3).map(index => lines.slice(Math.max(0, index - LOG_CONTEXT_LINES), index + 1).join('\n'));
+      excerpt = ranges.join('\n...\n');
+    } else {
+      excerpt = lines.slice(-LOG_CONTEXT_LINES * 2).join('\n');
+    }
+
+    const stepNames = failedSteps.map(step => step.name).join(', ') || job.name;
+    return `📄 Log excerpt (${stepNames}):\n\`\`\`\n${excerpt.trim()}\n\`\`\``;
+  }
+
+  // Re-run a workflow run, or only its failed jobs
+  async rerunWorkflow(owner, repo, runId, failedOnly = false) {
+    if (failedOnly) {
+      await this.octokit.rest.actions.reRunWorkflowFailedJobs({ owner, repo, run_id: runId });
+    } else {
+      await this.octokit.rest.actions.reRunWorkflow({ owner, repo, run_id: runId });
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Re-running ${failedOnly ? 'failed jobs of ' : ''}workflow run ${runId} in ${owner}/${repo}`
+        }
+      ]
+    };
+  }
+
+  // Trigger a workflow_dispatch event with optional inputs
+  async dispatchWorkflow(owner, repo, workflow, ref, inputs = {}) {
+    // Workflow inputs are always strings on the GitHub side
+    const stringInputs = Object.fromEntries(Object.entries(inputs).map(([key, value]) => [key, String(value)]));
+
+    await this.octokit.rest.actions.createWorkflowDispatch({
+      owner,
+      repo,
+      workflow_id: workflow,
+      ref,
+      inputs: stringInputs
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Dispatched workflow '${workflow}' on '${ref}' in ${owner}/${repo}${Object.keys(stringInputs).length ? `\n📝 Inputs: ${Object.entries(stringInputs).map(([k, v]) => `${k}=${v}`).join(', ')}` : ''}\n💡 Use list_workflow_runs to follow the new run`
+        }
+      ]
+    };
+  }
+
+  // Lint every commit on a PR (and its title) or on a branch against the conventional commit spec
+  async lintCommits(owner, repo, { prNumber, branch, base }) {
+    let label;
+    let title = null;
+    let commits;
+
+    if (prNumber) {
+      const { data: pr } = await this.octokit.rest.pulls.get({ owner, repo, pull_number: prNumber });
+      label = `PR #${prNumber} (${pr.head.ref} → ${pr.base.ref})`;
+      title = pr.title;
+      commits = await this.octokit.paginate(this.octokit.rest.pulls.listCommits, {
+        owner,
+        repo,
+        pull_number: prNumber,
+        per_page: 100
+      });
+    } else {
+      label = `${branch} (against ${base})`;
+      commits = (await this.fetchComparison(owner, repo, base, branch)).commits;
+    }
+
+    const rules = this.getRules(owner, repo);
+
+    // Merge commits are generated by git, not written by the author
+    const authored = commits.filter(commit => !(commit.parents?.length > 1));
+    const results = authored.map(commit => ({
+      sha: commit.sha.substring(0, 7),
+      header: commit.commit.message.split('\n')[0],
+      violations: this.lintCommitMessage(commit.commit.message, rules)
+    }));
+    const failing = results.filter(result => result.violations.length);
+    const titleViolations = title === null ? [] : this.lintCommitMessage(title, rules);
+
+    const sections = [
+      `🔍 Commit lint for ${label}: ${authored.length - failing.length}/${authored.length} commit(s) compliant${commits.length > authored.length ? `, ${commits.length - authored.length} merge commit(s) skipped` : ''}`
+    ];
+    if (title !== null) {
+      sections.push(titleViolations.length
+        ? `❌ PR title '${title}':\n${this.formatViolations(titleViolations)}`
+        : `✅ PR title '${title}'`);
+    }
+    if (failing.length) {
+      sections.push(failing.map(result => `❌ ${result.sha} ${result.header}\n${this.formatViolations(result.violations)}`).join('\n\n'));
+    }
+    if (failing.length || titleViolations.length) {
+      sections.push(this.getCommitMessageGuidelines(rules));
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: sections.join('\n\n')
+        }
+      ]
+    };
+  }
+
+  // Ahead/behind counts, commits and changed files between two refs
+  async compareRefs(owner, repo, base, head) {
+    const comparison = await this.fetchComparison(owner, repo, base, head);
+    const files = comparison.files || [];
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📊 ${base}...${head} in ${owner}/${repo}: ${comparison.status}\n⬆️  ${head} is ${comparison.ahead_by} commit(s) ahead and ${comparison.behind_by} behind ${base}\n🔗 ${comparison.html_url}\n\n📝 Commits (${comparison.commits.length}):\n${comparison.commits.map(commit =>
+            `• ${commit.sha.substring(0, 7)} ${commit.commit.message.split('\n')[0]} (${commit.author?.login || commit.commit.author.name})`
+          ).join('\n') || 'None'}\n\n📄 Files changed (${files.length}):\n${files.map(file =>
+            `• ${file.filename} (${file.status}, +${file.additions}/-${file.deletions})`
+          ).join('\n') || 'None'}`
+        }
+      ]
+    };
+  }
+
+  // Compare two refs, following pagination for large commit ranges
+  async fetchComparison(owner, repo, base, head) {
+    let comparison = null;
+    for await (const response of this.octokit.paginate.iterator(this.octokit.rest.repos.compareCommitsWithBasehead, {
+      owner,
+      repo,
+      basehead: `${base}...${head}`,
+      per_page: 100
+    })) {
+      if (!comparison) {
+        comparison = { ...response.data, commits: [...response.data.commits] };
+      } else {
+        comparison.commits.push(...response.data.commits);
+      }
+    }
+    return comparison;
+  }
+
+  // Release notes for the commits between two refs, grouped by conventional commit type
+  async releaseNotes(owner, repo, base, head) {
+    const notes = await this.buildReleaseNotes(owner, repo, base, head);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 Release notes for ${base}...${head} (${notes.commitCount} commit(s)):\n\n${notes.markdown}`
+        }
+      ]
+    };
+  }
+
+  // Group commits into release-note sections with linked PR numbers
+  async buildReleaseNotes(owner, repo, base, head) {
+    const comparison = await this.fetchComparison(owner, repo, base, head);
+    const { types } = this.getRules(owner, repo).commitFormat;
+    const sections = new Map(Object.keys(types).map(type => [type, []]));
+    const breaking = [];
+    const other = [];
+    let lookups = 0;
+
+    for (const commit of comparison.commits) {
+      const [header, ...bodyLines] = commit.commit.message.split('\n');
+      // Skip merge commits; the merged PR's own commits carry the content
+      if (commit.parents?.length > 1) continue;
+
+      let prNumbers = Array.from(header.matchAll(/#(\d+)/g)).map(match => Number(match[1]));
+      if (prNumbers.length === 0 && lookups < MAX_PR_LOOKUPS) {
+        lookups++;
+        prNumbers = await this.findCommitPullRequests(owner, repo, commit.sha);
+      }
+
+      const parsed = this.parseConventionalCommit(header);
+      const subject = (parsed ? parsed.subject : header).replace(/\s*\(#\d+\)\s*$/, '');
+      const refs = prNumbers.length ? ` (${prNumbers.map(n => `#${n}`).join(', ')})` : ` (${commit.sha.substring(0, 7)})`;
+      const entry = `- ${parsed?.scope ? `**${parsed.scope}:** ` : ''}${subject}${refs}`;
+
+      // Breaking commits are listed once, under Breaking Changes, with their type for context
+      if (parsed?.breaking || bodyLines.some(line => /^BREAKING[ -]CHANGE:/.test(line))) {
+        breaking.push(parsed ? `- **${parsed.type}${parsed.scope ? `(${parsed.scope})` : ''}:** ${subject}${refs}` : entry);
+      } else if (parsed && sections.has(parsed.type)) {
+        sections.get(parsed.type).push(entry);
+      } else {
+        other.push(entry);
+      }
+    }
+
+    const blocks = [];
+    if (breaking.length) blocks.push(`### ⚠️ Breaking Changes\n${breaking.join('\n')}`);
+    sections.forEach((entries, type) => {
+      if (entries.length) blocks.push(`### ${types[type].heading}\n${entries.join('\n')}`);
+    });
+    if (other.length) blocks.push(`### Other Changes\n${other.join('\n')}`);
+
+    return {
+      commitCount: comparison.commits.length,
+      markdown: `${blocks.join('\n\n') || 'No changes'}\n\n**Full Changelog:** ${comparison.html_url}`
+    };
+  }
+
+  // PR numbers GitHub associates with a commit
+  async findCommitPullRequests(owner, repo, sha) {
+    try {
+      const { data } = await this.octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+        owner,
+        repo,
+        commit_sha: sha
+      });
+      return data.filter(pr => pr.merged_at).map(pr => pr.number);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Tag a commit and publish a GitHub release with generated notes
+  async createRelease(owner, repo, { tag, target, base, title, draft = false, prerelease = false }) {
+    let since = base;
+    if (!since) {
+      try {
+        const { data: latest } = await this.octokit.rest.repos.getLatestRelease({ owner, repo });
+        since = latest.tag_name;
+      } catch (error) {
+        throw new Error(`No previous release found. Pass 'base' (a tag or branch) to generate notes from`);
+      }
+    }
+
+    // Pin the release to the exact commit the notes were generated for
+    const { data: commit } = await this.octokit.rest.repos.getCommit({ owner, repo, ref: target });
+    const notes = await this.buildReleaseNotes(owner, repo, since, commit.sha);
+
+    const { data: release } = await this.octokit.rest.repos.createRelease({
+      owner,
+      repo,
+      tag_name: tag,
+      target_commitish: commit.sha,
+      name: title || tag,
+      body: notes.markdown,
+      draft,
+      prerelease
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ ${draft ? 'Drafted' : 'Published'} release ${release.name} (tag ${tag} → ${commit.sha.substring(0, 7)} on ${target})${prerelease ? ' [pre-release]' : ''}\n🔗 ${release.html_url}\n📝 ${notes.commitCount} commit(s) since ${since}\n\n${notes.markdown}`
+        }
+      ]
+    };
+  }
+
+  // Latest review state per reviewer
+  async getApprovalStatus(owner, repo, prNumber, required) {
+    const reviews = await this.octokit.paginate(this.octokit.rest.pulls.listReviews, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100
+    });
+
+    const latest = new Map();
+    reviews
+      .filter(review => ['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state))
+      .forEach(review => latest.set(review.user.login, review.state));
+
+    const byState = state => Array.from(latest.entries()).filter(([, s]) => s === state).map(([login]) => login);
+
+    return {
+      required,
+      approved: byState('APPROVED'),
+      changesRequested: byState('CHANGES_REQUESTED')
+    };
+  }
+
+  // Delete the head branch of a pull request when it lives in the same repository
+  async deleteHeadBranch(owner, repo, pr) {
+    if (pr.head.repo?.full_name !== `${owner}/${repo}`) {
+      return `⚠️  Head branch '${pr.head.ref}' is in a fork and was not deleted`;
+    }
+
+    try {
+      await this.octokit.rest.git.deleteRef({
+        owner,
+        repo,
+        ref: `heads/${pr.head.ref}`
+      });
+      return `🧹 Deleted branch '${pr.head.ref}'`;
+    } catch (error) {
+      return `⚠️  Could not delete branch '${pr.head.ref}': ${error.message}`;
+    }
+  }
+
+  // List issues with optional state, label, assignee and milestone filters
+  async listIssues(owner, repo, { state = 'open', labels, assignee, milestone, limit, cursor }) {
+    const query = { owner, repo, state, per_page: 100 };
+    if (labels?.length) query.labels = labels.join(',');
+    if (assignee) query.assignee = assignee;
+    if (milestone) query.milestone = await this.resolveMilestone(owner, repo, milestone, true);
+
+    // The issues endpoint also returns pull requests
+    const page = await this.collectPage(this.octokit.rest.issues.listForRepo, query, issue => !issue.pull_request, { limit, cursor });
+    const issues = page.items;
+
+    const filters = [
+      `state: ${state}`,
+      labels?.length ? `labels: ${labels.join(', ')}` : null,
+      assignee ? `assignee: ${assignee}` : null,
+      milestone ? `milestone: ${milestone}` : null
+    ].filter(Boolean).join(' • ');
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 Issues in ${owner}/${repo} (${filters}):\n${issues.length === 0 ? 'No matching issues' : issues.map(issue =>
+            `• #${issue.number}: ${issue.title}${this.formatIssueMeta(issue)}\n  ${issue.html_url}`
+          ).join('\n')}${this.formatPageFooter(page)}`
+        }
+      ]
+    };
+  }
+
+  // Get a single issue with its description
+  async getIssue(owner, repo, issueNumber) {
+    const { data: issue } = await this.octokit.rest.issues.get({
+      owner,
+      repo,
+      issue_number: issueNumber
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 Issue #${issue.number}: ${issue.title}\n🔗 ${issue.html_url}\n👤 ${issue.user.login} • ${issue.state} • ${issue.comments} comment(s)${this.formatIssueMeta(issue)}\n\n${issue.body || 'No description'}`
+        }
+      ]
+    };
+  }
+
+  // Create an issue
+  async createIssue(owner, repo, { title, body, labels, assignees, milestone }) {
+    const { data: issue } = await this.octokit.rest.issues.create({
+      owner,
+      repo,
+      title,
+      body,
+      labels,
+      assignees,
+      ...(milestone ? { milestone: await this.resolveMilestone(owner, repo, milestone) } : {})
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Created issue #${issue.number}: ${issue.title}\n🔗 ${issue.html_url}`
+        }
+      ]
+    };
+  }
+
+  // Update an issue's title, body, state, labels, assignees or milestone
+  async updateIssue(owner, repo, issueNumber, { title, body, state, labels, assignees, milestone }) {
+    if (state === 'all') {
+      throw new Error("Invalid arguments for update_issue: field 'state' must be open or closed");
+    }
+
+    const changes = { title, body, state, labels, assignees };
+    if (milestone) {
+      changes.milestone = milestone === 'none' ? null : await this.resolveMilestone(owner, repo, milestone);
+    }
+    Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+
+    if (Object.keys(changes).length === 0) {
+      throw new Error('Nothing to update. Pass title, body, state, labels, assignees or milestone');
+    }
+
+    const { data: issue } = await this.octokit.rest.issues.update({
+      owner,
+      repo,
+      issue_number: issueNumber,
+      ...changes
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Updated issue #${issue.number} (${Object.keys(changes).join(', ')})\n🔗 ${issue.html_url}`
+        }
+      ]
+    };
+  }
+
+  // Comment on an issue
+  async commentIssue(owner, repo, issueNumber, body) {
+    const { data: comment } = await this.octokit.rest.issues.createComment({
+      owner,
+      repo,
+      issue_number: issueNumber,
+      body
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Commented on issue #${issueNumber}\n🔗 ${comment.html_url}`
+        }
+      ]
+    };
+  }
+
+  // Add a closing keyword for an issue to a pull request body
+  async linkIssueToPullRequest(owner, repo, issueNumber, prNumber, keyword = 'Closes') {
+    const { data: pr } = await this.octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: prNumber
+    });
+
+    const body = pr.body || '';
+    const alreadyLinked = Array.from(body.matchAll(CLOSING_KEYWORD_PATTERN)).some(match => Number(match[3]) === issueNumber);
+    if (alreadyLinked) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `ℹ️  PR #${prNumber} already closes issue #${issueNumber}`
+          }
+        ]
+      };
+    }
+
+    await this.octokit.rest.pulls.update({
+      owner,
+      repo,
+      pull_number: prNumber,
+      body: this.injectClosingKeyword(body, issueNumber, keyword)
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Linked issue #${issueNumber} to PR #${prNumber} ("${keyword} #${issueNumber}")\n🔗 ${pr.html_url}`
+        }
+      ]
+    };
+  }
+
+  // Insert "Closes #N" into the Related Issues section, creating it before the branch footer if needed
+  injectClosingKeyword(body, issueNumber, keyword = 'Closes') {
+    const line = `${keyword} #${issueNumber}`;
+    const section = body.match(/^#{2,3} [^\n]*Related Issues[^\n]*\n/im);
+    if (section) {
+      const insertAt = section.index + section[0].length;
+      return `${body.slice(0, insertAt)}${line}\n${body.slice(insertAt)}`;
+    }
+
+    const footer = body.search(/^## Branch:/m);
+    if (footer !== -1) {
+      return `${body.slice(0, footer)}## Related Issues\n${line}\n\n${body.slice(footer)}`;
+    }
+
+    return `${body.trimEnd()}\n\n## Related Issues\n${line}\n`;
+  }
+
+  // Accept a milestone number or title; listing also accepts "*" and "none"
+  async resolveMilestone(owner, repo, milestone, forListing = false) {
+    if (/^\d+$/.test(String(milestone))) {
+      return Number(milestone);
+    }
+    if (forListing && ['*', 'none'].includes(milestone)) {
+      return milestone;
+    }
+
+    const milestones = await this.octokit.paginate(this.octokit.rest.issues.listMilestones, {
+      owner,
+      repo,
+      state: 'all',
+      per_page: 100
+    });
+    const found = milestones.find(m => m.title.toLowerCase() === String(milestone).toLowerCase());
+    if (!found) {
+      throw new Error(`Milestone '${milestone}' not found. Available: ${milestones.map(m => m.title).join(', ') || 'none'}`);
+    }
+    return found.number;
+  }
+
+  // Labels, assignees and milestone suffix for issue listings
+  formatIssueMeta(issue) {
+    const labels = issue.labels.map(label => typeof label === 'string' ? label : label.name);
+    return [
+      labels.length ? `\n  🏷️  ${labels.join(', ')}` : '',
+      issue.assignees?.length ? `\n  👤 ${issue.assignees.map(a => a.login).join(', ')}` : '',
+      issue.milestone ? `\n  🎯 ${issue.milestone.title}` : ''
+    ].join('');
+  }
+
+  // Cross-check changed files and review text against the company review checklist
+  crossCheckReview(files, reviewText) {
+    const checklist = this.docs ? this.docs.getReviewChecklist() : [];
+    const isTest = name => TEST_FILE_PATTERN.test(name);
+    const isDoc = name => DOC_FILE_PATTERN.test(name);
+    const sourceFiles = files.filter(f => !isTest(f.filename) && !isDoc(f.filename));
+    const changedLines = files.reduce((total, f) => total + f.additions + f.deletions, 0);
+
+    const findings = [];
+    if (sourceFiles.length > 0 && !files.some(f => isTest(f.filename))) {
+      findings.push({ section: 'Testing', text: 'Source files changed but no test files were added or updated' });
+    }
+    if (files.some(f => f.status === 'added' && !isTest(f.filename) && !isDoc(f.filename)) && !files.some(f => isDoc(f.filename))) {
+      findings.push({ section: 'Documentation', text: 'New files added without documentation changes - check whether README/docs need updating' });
+    }
+    if (changedLines > 400) {
+      findings.push({ section: 'Design & Architecture', text: `Large PR (${changedLines} lines changed) - consider asking for it to be split` });
+    }
+
+    // A section counts as covered when the review mentions it or one of its key words
+    const text = reviewText.toLowerCase();
+    const coverage = checklist.map(({ section, items }) => {
+      const keywords = section.toLowerCase().split(/[^a-z]+/).filter(word => word.length > 3);
+      return { section, items, covered: keywords.some(word => text.includes(word)) };
+    });
+
+    return { findings, coverage, reviewed: Boolean(reviewText.trim()) };
+  }
+
+  // Render a checklist cross-check for MCP responses
+  formatReviewChecklist({ findings, coverage, reviewed }) {
+    if (coverage.length === 0 && findings.length === 0) {
+      return '';
+    }
+
+    const sections = coverage.map(({ section, items, covered }) => {
+      const mark = reviewed ? (covered ? '✅' : '⬜') : '•';
+      return `${mark} **${section}**\n${items.map(item => `   - ${item}`).join('\n')}`;
     });
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: `📋 Open Pull Requests in ${owner}/${repo}:\n${prs.data.map(pr => 
-            `• #${pr.number}: ${pr.title}\n  ${pr.head.ref} → ${pr.base.ref} (${pr.html_url})`
-          ).join('\n\n')}`
-        }
-      ]
-    };
+    return `📋 **Review Checklist (code-review-best-practices):**${findings.length ? `\n${findings.map(f => `⚠️  [${f.section}] ${f.text}`).join('\n')}` : ''}${sections.length ? `\n\n${sections.join('\n')}` : ''}${reviewed && coverage.some(c => !c.covered) ? '\n\n⬜ = not addressed in the review text' : ''}`;
   }
 
   // Get file content from repository
   async getFileContent(owner, repo, filepath, branch = 'develop') {
     try {
-      const file = await this.octokit.rest.repos.getContent({
-        owner,
-        repo,
-        path: filepath,
-        ref: branch
-      });
-
-      const content = Buffer.from(file.data.content, 'base64').toString('utf-8');
+      const content = await this.fetchFileContent(owner, repo, filepath, branch);
       
       return {
         content: [
@@ -204,27 +1862,44 @@ export class GithubTool {
     }
   }
 
+  // Decoded content of a file at a ref
+  async fetchFileContent(owner, repo, filepath, ref) {
+    const file = await this.octokit.rest.repos.getContent({
+      owner,
+      repo,
+      path: filepath,
+      ref
+    });
+
+    return Buffer.from(file.data.content, 'base64').toString('utf-8');
+  }
+
   // Update a file in the repository
-  async updateFile(owner, repo, updateInfo, branch) {
-    const { filepath, content, message } = JSON.parse(updateInfo);
-    
+  async updateFile(owner, repo, { filepath, content, message }, branch) {
     try {
-      // Get current file to get its SHA
-      const currentFile = await this.octokit.rest.repos.getContent({
-        owner,
-        repo,
-        path: filepath,
-        ref: branch
-      });
+      // An existing file is replaced by its SHA; a missing one is created without it
+      let sha;
+      try {
+        const currentFile = await this.octokit.rest.repos.getContent({
+          owner,
+          repo,
+          path: filepath,
+          ref: branch
+        });
+        sha = currentFile.data.sha;
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+      }
 
-      // Update the file
       await this.octokit.rest.repos.createOrUpdateFileContents({
         owner,
         repo,
         path: filepath,
-        message: message || `Update ${filepath}`,
+        message: message || `${sha ? 'Update' : 'Create'} ${filepath}`,
         content: Buffer.from(content).toString('base64'),
-        sha: currentFile.data.sha,
+        ...(sha ? { sha } : {}),
         branch
       });
 
@@ -232,7 +1907,7 @@ export class GithubTool {
         content: [
           {
             type: "text",
-            text: `✅ Updated ${filepath} in branch '${branch}' of ${owner}/${repo}`
+            text: `✅ ${sha ? 'Updated' : 'Created'} ${filepath} in branch '${branch}' of ${owner}/${repo}`
           }
         ]
       };
@@ -249,6 +1924,261 @@ export class GithubTool {
     }
   }
 
+  // Commit several file operations to a branch as a single commit using the Git Data API
+  async commitChanges(owner, repo, branch, message, operations) {
+    const validation = this.validateCommitMessage(message, this.getRules(owner, repo));
+    if (!validation.isValid) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Commit message validation failed:\n${this.formatViolations(validation.violations)}\n\n${validation.rules}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('operations must be a non-empty list of { type, path, content, from } entries');
+    }
+    this.assertDistinctPaths(operations);
+
+    // Resolve the branch head and the tree it points to
+    const headRef = await this.octokit.rest.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${branch}`
+    });
+    const parentSha = headRef.data.object.sha;
+    const parentCommit = await this.octokit.rest.git.getCommit({
+      owner,
+      repo,
+      commit_sha: parentSha
+    });
+
+    const tree = [];
+    for (const op of operations) {
+      tree.push(...await this.buildTreeEntries(owner, repo, parentSha, op));
+    }
+
+    const newTree = await this.octokit.rest.git.createTree({
+      owner,
+      repo,
+      base_tree: parentCommit.data.tree.sha,
+      tree
+    });
+
+    const commit = await this.octokit.rest.git.createCommit({
+      owner,
+      repo,
+      message,
+      tree: newTree.data.sha,
+      parents: [parentSha]
+    });
+
+    await this.octokit.rest.git.updateRef({
+      owner,
+      repo,
+      ref: `heads/${branch}`,
+      sha: commit.data.sha
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Committed ${operations.length} change(s) to '${branch}' in ${owner}/${repo}\n🔖 ${commit.data.sha.substring(0, 7)} ${message.split('\n')[0]}\n${operations.map(op =>
+            `• ${op.type} ${op.type === 'rename' ? `${op.from} → ${op.path}` : op.path}`
+          ).join('\n')}\n\n${validation.complianceMessage}`
+        }
+      ]
+    };
+  }
+
+  // Every operation is resolved against the parent commit, so a second operation on the same path would not
+  // see the first one's result (a modify followed by a rename would rename the old content)
+  assertDistinctPaths(operations) {
+    const touched = new Map();
+    operations.forEach((op, index) => {
+      const paths = [op?.path, op?.type === 'rename' ? op.from : null]
+        .filter(Boolean)
+        .map(filepath => filepath.replace(/^\/+|\/+$/g, ''));
+      new Set(paths).forEach(filepath => {
+        if (touched.has(filepath)) {
+          throw new Error(`Operations ${touched.get(filepath) + 1} and ${index + 1} both touch '${filepath}'. Use one operation per path; a rename can also set new content`);
+        }
+        touched.set(filepath, index);
+      });
+    });
+  }
+
+  // Translate one add/modify/delete/rename operation into Git tree entries. Existing files keep their
+  // mode, so executables (100755) and symlinks (120000) stay what they were
+  async buildTreeEntries(owner, repo, ref, op) {
+    if (!op || !op.path) {
+      throw new Error(`Every operation needs a 'path': ${JSON.stringify(op)}`);
+    }
+
+    switch (op.type) {
+      case 'add':
+      case 'modify': {
+        if (typeof op.content !== 'string') {
+          throw new Error(`'content' is required to ${op.type} ${op.path}`);
+        }
+        const existing = op.type === 'modify' ? await this.findTreeEntry(owner, repo, ref, op.path) : null;
+        return [{ path: op.path, mode: existing?.mode || '100644', type: 'blob', content: op.content }];
+      }
+
+      case 'delete': {
+        const existing = await this.findTreeEntry(owner, repo, ref, op.path);
+        if (!existing) {
+          throw new Error(`Cannot delete ${op.path}: it does not exist`);
+        }
+        return [{ path: op.path, mode: existing.mode, type: 'blob', sha: null }];
+      }
+
+      case 'rename': {
+        if (!op.from) {
+          throw new Error(`'from' is required to rename ${op.path}`);
+        }
+        const source = await this.findTreeEntry(owner, repo, ref, op.from);
+        if (!source) {
+          throw new Error(`Cannot rename ${op.from}: it does not exist`);
+        }
+        // Keep the original blob unless new content was supplied
+        const target = typeof op.content === 'string'
+          ? { content: op.content }
+          : { sha: source.sha };
+        return [
+          { path: op.from, mode: source.mode, type: 'blob', sha: null },
+          { path: op.path, mode: source.mode, type: 'blob', ...target }
+        ];
+      }
+
+      default:
+        throw new Error(`Unknown operation type '${op.type}' for ${op.path}. Use add, modify, delete or rename`);
+    }
+  }
+
+  // The entry (mode, sha) for a file in the commit's tree, read from its parent directory; null if missing
+  async findTreeEntry(owner, repo, ref, filepath) {
+    const parts = filepath.split('/').filter(Boolean);
+    const name = parts.pop();
+    try {
+      const { data } = await this.octokit.rest.git.getTree({
+        owner,
+        repo,
+        tree_sha: parts.length > 0 ? `${ref}:${parts.join('/')}` : ref
+      });
+      return data.tree.find(entry => entry.path === name && entry.type === 'blob') || null;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Report which credentials, identity and permissions apply to each configured repository
+  async diagnose() {
+    const session = callContext.getStore()?.session;
+    const identities = new Map();
+    const sections = [];
+
+    for (const targetRepo of this.repos) {
+      const [owner, repo] = targetRepo.repo.split('/');
+      const lines = [`📁 **${targetRepo.name}** (${targetRepo.repo})`];
+
+      try {
+        const credentials = await this.credentials.resolve(targetRepo, session?.githubToken);
+        lines.push(`   🔑 Credentials: ${credentials.source}`);
+
+        // Repositories sharing credentials share an identity, so look it up once
+        if (!identities.has(credentials.source)) {
+          identities.set(credentials.source, await this.describeIdentity(credentials));
+        }
+        lines.push(`   👤 Identity: ${identities.get(credentials.source)}`);
+
+        const { data } = await credentials.octokit.rest.repos.get({ owner, repo });
+        lines.push(`   ✅ Repository access: ${data.private ? 'private' : 'public'}, GitHub default branch '${data.default_branch}'`);
+        if (data.permissions) {
+          const granted = ['admin', 'maintain', 'push', 'triage', 'pull'].filter(permission => data.permissions[permission]);
+          lines.push(`   🔐 Permissions: ${granted.join(', ') || 'none'}`);
+        }
+
+        try {
+          await credentials.octokit.rest.repos.getBranch({ owner, repo, branch: targetRepo.defaultBranch });
+          lines.push(`   🌿 Configured default branch '${targetRepo.defaultBranch}' exists`);
+        } catch (error) {
+          lines.push(`   ⚠️  Configured default branch '${targetRepo.defaultBranch}' not found (${error.status || error.message})`);
+        }
+      } catch (error) {
+        lines.push(`   ❌ ${error.message}${error.status ? ` (HTTP ${error.status})` : ''}`);
+        lines.push(...this.diagnosisHints(error).map(hint => `   💡 ${hint}`));
+      }
+
+      sections.push(lines.join('\n'));
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🩺 GitHub Access Diagnosis\n\n${sections.join('\n\n')}`
+        }
+      ]
+    };
+  }
+
+  // Who the credentials act as: a user with token scopes, or a GitHub App with installation permissions
+  async describeIdentity({ octokit, kind, installationId }) {
+    if (kind === 'none') {
+      return 'anonymous (set GITHUB_TOKEN or configure a GitHub App to reach private repositories)';
+    }
+
+    if (kind === 'app') {
+      const { data: app } = await this.credentials.app.octokit.rest.apps.getAuthenticated();
+      const { data: installation } = await this.credentials.app.octokit.rest.apps.getInstallation({ installation_id: installationId });
+      const permissions = Object.entries(installation.permissions || {}).map(([name, level]) => `${name}=${level}`).join(', ');
+      return `${app.slug}[bot] (GitHub App), installation permissions: ${permissions || 'none'}`;
+    }
+
+    const response = await octokit.rest.users.getAuthenticated();
+    // Classic tokens report their scopes in a header; fine-grained tokens do not
+    const scopes = response.headers['x-oauth-scopes'];
+    const scopeText = scopes === undefined ? 'fine-grained token' : `token scopes: ${scopes || 'none'}`;
+    return `${response.data.login} (${response.data.type}), ${scopeText}`;
+  }
+
+  diagnosisHints(error) {
+    switch (error.status) {
+      case 401:
+        return ['The token is invalid or expired', 'Check that the token was copied in full and has not been revoked'];
+      case 403:
+        return ['The identity lacks permission for this repository', 'Organizations using SAML SSO must authorize the token'];
+      case 404:
+        return ['The repository name in config/repos.json may be wrong', 'Private repositories return 404 when the identity has no access'];
+      default:
+        return [];
+    }
+  }
+
+  // Resolve a configured repository by its short name or owner/repo
+  findRepository(repoName) {
+    const targetRepo = this.repos.find(r => r.name === repoName || r.repo === repoName);
+    if (!targetRepo) {
+      throw new Error(`Repository '${repoName}' not found. Available repos: ${this.repos.map(r => r.name).join(', ')}`);
+    }
+    return targetRepo;
+  }
+
+  // Company rules for a repository: the shared rules file with the repo's overrides from repos.json applied
+  getRules(owner, repo) {
+    const targetRepo = this.repos.find(r => r.repo === `${owner}/${repo}`);
+    return targetRepo ? repositoryRules(this.rules, targetRepo) : this.rules;
+  }
+
   // Helper method to list available repositories
   listRepositories() {
     return this.repos.map(repo => ({
@@ -274,38 +2204,34 @@ export class GithubTool {
   }
 
   // Validate branch name according to company rules
-  validateBranchName(branchName) {
-    const rules = {
-      prefixes: ['feature/', 'fix/', 'enhancement/', 'hotfix/', 'bugfix/', 'feat/', 'chore/', 'docs/', 'style/', 'refactor/', 'test/'],
-      maxLength: 50,
-      allowedChars: /^[a-z0-9\/\-_]+$/i
-    };
+  validateBranchName(branchName, rules = this.rules) {
+    const { prefixes, maxLength, allowedChars, allowedCharsDescription, example } = rules.branchNaming;
 
     // Check prefix
-    const hasValidPrefix = rules.prefixes.some(prefix => branchName.startsWith(prefix));
+    const hasValidPrefix = prefixes.some(prefix => branchName.startsWith(prefix));
     if (!hasValidPrefix) {
       return {
         isValid: false,
-        error: `Branch name must start with one of: ${rules.prefixes.join(', ')}`,
-        rules: `📋 Git Best Practice Rules:\n• Use descriptive prefixes (feature/, fix/, enhancement/, etc.)\n• Keep names under ${rules.maxLength} characters\n• Use lowercase with hyphens or underscores\n• Example: feature/user-authentication or fix/login-bug`
+        error: `Branch name must start with one of: ${prefixes.join(', ')}`,
+        rules: `📋 Git Best Practice Rules:\n• Start with one of the prefixes: ${prefixes.join(', ')}\n• Keep names under ${maxLength} characters\n• Use only ${allowedCharsDescription}\n• Example: ${example}`
       };
     }
 
     // Check length
-    if (branchName.length > rules.maxLength) {
+    if (branchName.length > maxLength) {
       return {
         isValid: false,
-        error: `Branch name too long (${branchName.length}/${rules.maxLength} chars)`,
-        rules: `📋 Git Best Practice Rules:\n• Keep branch names under ${rules.maxLength} characters\n• Use concise but descriptive names`
+        error: `Branch name too long (${branchName.length}/${maxLength} chars)`,
+        rules: `📋 Git Best Practice Rules:\n• Keep branch names under ${maxLength} characters\n• Use concise but descriptive names`
       };
     }
 
     // Check characters
-    if (!rules.allowedChars.test(branchName)) {
+    if (!new RegExp(allowedChars, 'i').test(branchName)) {
       return {
         isValid: false,
         error: 'Branch name contains invalid characters',
-        rules: `📋 Git Best Practice Rules:\n• Use only letters, numbers, hyphens, underscores, and forward slashes\n• No spaces or special characters`
+        rules: `📋 Git Best Practice Rules:\n• Use only ${allowedCharsDescription}\n• Example: ${example}`
       };
     }
 
@@ -315,8 +2241,338 @@ export class GithubTool {
     };
   }
 
+  // Validate a commit message against the conventional commit format
+  validateCommitMessage(message, rules = this.rules) {
+    const violations = this.lintCommitMessage(message, rules);
+
+    if (violations.length) {
+      return {
+        isValid: false,
+        error: violations.map(violation => violation.message).join('; '),
+        violations,
+        rules: this.getCommitMessageGuidelines(rules)
+      };
+    }
+
+    return {
+      isValid: true,
+      complianceMessage: '✅ Commit message follows company conventional commit format'
+    };
+  }
+
+  // Check a commit message (or PR title) against the conventional commit spec; returns the violations
+  lintCommitMessage(message, rules = this.rules) {
+    const { scopePattern, scopeDescription, headerMaxLength } = rules.commitFormat;
+    const lines = (message || '').replace(/\r\n/g, '\n').trimEnd().split('\n');
+    const header = lines[0].trim();
+    const types = Object.keys(rules.commitFormat.types);
+    const violations = [];
+
+    if (!header) {
+      return [{ rule: 'header-empty', message: 'Commit message is required' }];
+    }
+
+    const match = header.match(/^(\w+)(?:\(([^)]*)\))?(!)?:( ?)(.*)$/);
+    if (!match) {
+      violations.push({ rule: 'header-format', message: `'${header}' does not match "<type>(<scope>)!: <subject>"` });
+    } else {
+      const [, type, scope, , space, subject] = match;
+
+      if (!types.includes(type)) {
+        violations.push({ rule: 'type-enum', message: `Type '${type}' must be one of: ${types.join(', ')}` });
+      }
+      if (scope !== undefined && !new RegExp(scopePattern).test(scope)) {
+        violations.push({ rule: 'scope-format', message: `Scope '${scope}' must be ${scopeDescription || `match ${scopePattern}`}` });
+      }
+      if (!space) {
+        violations.push({ rule: 'header-format', message: "Add a space after ':'" });
+      }
+      if (!subject.trim()) {
+        violations.push({ rule: 'subject-empty', message: 'Subject is required' });
+      } else if (subject.trim().endsWith('.')) {
+        violations.push({ rule: 'subject-full-stop', message: 'Subject must not end with a period' });
+      }
+    }
+
+    if (header.length > headerMaxLength) {
+      violations.push({ rule: 'header-max-length', message: `Header is ${header.length} characters (max ${headerMaxLength})` });
+    }
+
+    if (lines.length > 1) {
+      if (lines[1].trim()) {
+        violations.push({ rule: 'body-leading-blank', message: 'Leave a blank line between the header and the body' });
+      }
+
+      // The footer is the last paragraph when it starts with a trailer
+      const paragraphs = lines.slice(1).join('\n').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+      const footer = paragraphs.length ? paragraphs[paragraphs.length - 1].split('\n') : [];
+      const isFooter = footer.length && (FOOTER_PATTERN.test(footer[0]) || /^breaking[ -]change/i.test(footer[0]));
+
+      if (isFooter) {
+        footer.forEach(line => {
+          if (/^\s/.test(line)) return;
+          if (/^breaking[ -]change/i.test(line) && !/^BREAKING[ -]CHANGE: \S/.test(line)) {
+            violations.push({ rule: 'footer-breaking-change', message: `'${line}' must be written as "BREAKING CHANGE: <description>"` });
+          } else if (!FOOTER_PATTERN.test(line)) {
+            violations.push({ rule: 'footer-format', message: `Footer line '${line}' must be "<token>: <value>" or "<token> #<value>" (use '-' instead of spaces in tokens, e.g. Reviewed-by)` });
+          }
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  // Check a PR title and body against the pull request rules
+  validatePullRequest(title, body, rules = this.rules) {
+    const { titleFormat, requiredSections } = rules.pullRequest;
+    const violations = titleFormat === 'conventional'
+      ? this.lintCommitMessage(title, rules).map(violation => ({ ...violation, message: `Title: ${violation.message}` }))
+      : [];
+
+    if (body === null) {
+      return violations;
+    }
+
+    // Headings may carry emoji, e.g. "## 📝 Description"
+    const headings = body.split('\n')
+      .filter(line => /^#{1,6}\s/.test(line))
+      .map(line => line.toLowerCase());
+    requiredSections.forEach(section => {
+      if (!headings.some(heading => heading.includes(section.toLowerCase()))) {
+        violations.push({ rule: 'body-section', message: `Body is missing a '${section}' section` });
+      }
+    });
+
+    return violations;
+  }
+
+  // Request the reviewers the rules name for every new PR; a failure is reported but does not fail the PR
+  async requestDefaultReviewers(owner, repo, prNumber, rules) {
+    const { reviewers, teamReviewers } = rules.reviews;
+    if (!reviewers.length && !teamReviewers.length) {
+      return null;
+    }
+
+    try {
+      await this.octokit.rest.pulls.requestReviewers({
+        owner,
+        repo,
+        pull_number: prNumber,
+        reviewers,
+        team_reviewers: teamReviewers
+      });
+      return `👀 Requested reviews from ${[...reviewers, ...teamReviewers.map(team => `team ${team}`)].join(', ')}`;
+    } catch (error) {
+      return `⚠️  Could not request the default reviewers: ${error.message}`;
+    }
+  }
+
+  // Bullet list of lint violations
+  formatViolations(violations) {
+    return violations.map(violation => `   • [${violation.rule}] ${violation.message}`).join('\n');
+  }
+
+  // Split a conventional commit header into type, scope, breaking flag and subject
+  parseConventionalCommit(header) {
+    const match = header.match(/^(\w+)(?:\(([^)]+)\))?(!)?: (.+)$/);
+    if (!match) return null;
+    return {
+      type: match[1].toLowerCase(),
+      scope: match[2] || null,
+      breaking: Boolean(match[3]),
+      subject: match[4].trim()
+    };
+  }
+
+  // Find the repository's PR template on the base branch, as GitHub does: a single file or one from a
+  // PULL_REQUEST_TEMPLATE directory, picked by the head branch's change type
+  async loadPullRequestTemplate(owner, repo, baseBranch, headBranch) {
+    for (const directory of PR_TEMPLATE_DIRECTORIES) {
+      let entries;
+      try {
+        const { data } = await this.octokit.rest.repos.getContent({ owner, repo, path: directory, ref: baseBranch });
+        entries = Array.isArray(data) ? data : [];
+      } catch (error) {
+        continue;
+      }
+
+      const match = entries.find(entry =>
+        (entry.type === 'file' && /^pull_request_template\.md$/i.test(entry.name)) ||
+        (entry.type === 'dir' && /^pull_request_template$/i.test(entry.name))
+      );
+      if (!match) continue;
+
+      let templatePath = match.path;
+      if (match.type === 'dir') {
+        const { data: templates } = await this.octokit.rest.repos.getContent({ owner, repo, path: match.path, ref: baseBranch });
+        const candidates = templates.filter(entry => entry.type === 'file' && entry.name.toLowerCase().endsWith('.md'))
+          .sort((a, b) => a.name.localeCompare(b.name));
+        if (candidates.length === 0) continue;
+
+        const changeType = this.getChangeType(headBranch, this.getRules(owner, repo));
+        const preferred = changeType && candidates.find(entry => changeType.checkbox.test(entry.name.replace(/[_-]/g, ' ')));
+        templatePath = (preferred || candidates[0]).path;
+      }
+
+      return { path: templatePath, content: await this.fetchFileContent(owner, repo, templatePath, baseBranch) };
+    }
+
+    return null;
+  }
+
+  // Commit types, touched areas and test coverage of the changes between base and head
+  async analyzeChanges(owner, repo, baseBranch, headBranch) {
+    const comparison = await this.fetchComparison(owner, repo, baseBranch, headBranch);
+    const rules = this.getRules(owner, repo);
+    const files = comparison.files || [];
+    const changeTypes = new Map();
+    const subjects = [];
+
+    comparison.commits
+      .filter(commit => !(commit.parents?.length > 1))
+      .forEach(commit => {
+        const [header, ...bodyLines] = commit.commit.message.split('\n');
+        const parsed = this.parseConventionalCommit(header);
+        const changeType = parsed && this.changeTypeFor(parsed.type, rules);
+        if (changeType) {
+          changeTypes.set(changeType.commitType, changeType);
+        }
+        if (parsed?.breaking || bodyLines.some(line => /^BREAKING[ -]CHANGE:/.test(line))) {
+          changeTypes.set(BREAKING_CHANGE_TYPE.commitType, BREAKING_CHANGE_TYPE);
+        }
+        const subject = parsed ? parsed.subject : header;
+        if (!subjects.includes(subject)) subjects.push(subject);
+      });
+
+    // Group files by their top two directory levels
+    const areas = new Map();
+    files.forEach(file => {
+      const directories = file.filename.split('/').slice(0, -1);
+      const area = directories.length ? directories.slice(0, 2).join('/') : '(root)';
+      const entry = areas.get(area) || { area, files: 0, additions: 0, deletions: 0 };
+      entry.files++;
+      entry.additions += file.additions;
+      entry.deletions += file.deletions;
+      areas.set(area, entry);
+    });
+
+    const sourceChanged = files.some(file => !TEST_FILE_PATTERN.test(file.filename) && !DOC_FILE_PATTERN.test(file.filename));
+    return {
+      commitCount: comparison.commits.length,
+      fileCount: files.length,
+      changeTypes: Array.from(changeTypes.values()),
+      subjects,
+      areas: Array.from(areas.values()).sort((a, b) => b.files - a.files),
+      missingTests: sourceChanged && !files.some(file => TEST_FILE_PATTERN.test(file.filename))
+    };
+  }
+
+  // Add the analysis to a PR body: tick change types and fill a "Changes Made" section, as in the how-to-make-github-prs template
+  describeChanges(body, analysis) {
+    let described = analysis.changeTypes.length ? this.tickChangeTypes(body, analysis.changeTypes) : body;
+
+    const listed = analysis.subjects.slice(0, MAX_DESCRIBED_COMMITS);
+    const changes = [
+      ...listed.map(subject => `- ${subject}`),
+      ...(analysis.subjects.length > listed.length ? [`- ...and ${analysis.subjects.length - listed.length} more commit(s)`] : []),
+      '',
+      '**Touched areas:**',
+      ...analysis.areas.map(({ area, files, additions, deletions }) => `- \`${area}\` (${files} file(s), +${additions}/-${deletions})`),
+      ...(analysis.missingTests ? ['', '> ⚠️ **Missing tests:** source files changed but no test files were added or updated'] : [])
+    ].join('\n');
+
+    // Replace the placeholder content of the template's own section when it has one, otherwise add it ahead of testing/checklist
+    const existing = described.match(/^#{2,3} [^\n]*changes made[^\n]*\n/im);
+    if (existing) {
+      const start = existing.index + existing[0].length;
+      const next = described.slice(start).search(/^#{1,3} /m);
+      const end = next === -1 ? described.length : start + next;
+      return `${described.slice(0, start)}${changes}\n\n${described.slice(end)}`;
+    }
+
+    const section = `## 🔧 Changes Made\n${changes}\n\n`;
+    const before = described.search(/^#{2,3} [^\n]*(testing|checklist|related issues|branch:)/im);
+    if (before !== -1) {
+      return `${described.slice(0, before)}${section}${described.slice(before)}`;
+    }
+    return `${described.trimEnd()}\n\n${section}`;
+  }
+
+  // Change type implied by a branch prefix
+  getChangeType(headBranch, rules = this.rules) {
+    return this.changeTypeFor(this.branchCommitType(headBranch, rules), rules);
+  }
+
+  // Template label and "Type of Change" checkbox pattern for a commit type, from rules.commitFormat.types
+  changeTypeFor(commitType, rules = this.rules) {
+    const type = commitType && rules.commitFormat.types[commitType];
+    if (!type || !type.changeType) {
+      return null;
+    }
+    return { commitType, label: type.changeType, checkbox: new RegExp(type.checkbox || `\\b${commitType}\\b`, 'i') };
+  }
+
+  // Conventional commit type of a branch, from its allowed prefix in rules.branchNaming.prefixTypes
+  branchCommitType(branchName, rules = this.rules) {
+    const { prefixes, prefixTypes = {} } = rules.branchNaming;
+    const prefix = prefixes.find(candidate => branchName.startsWith(candidate));
+    return (prefix && prefixTypes[prefix]?.commitType) || null;
+  }
+
+  // The first allowed prefix whose prefixTypes entry matches, in rules order; otherwise the default prefix
+  choosePrefix(matches, rules = this.rules) {
+    const { prefixes, prefixTypes = {}, defaultPrefix } = rules.branchNaming;
+    const match = Object.entries(prefixTypes).find(([prefix, type]) => prefixes.includes(prefix) && matches(type));
+    if (match) {
+      return match[0];
+    }
+    return prefixes.includes(defaultPrefix) ? defaultPrefix : prefixes[0];
+  }
+
+  // Fill the placeholders a PR template may use and tick the change type checkbox
+  fillPullRequestTemplate(template, { title, headBranch, baseBranch, issueNumber }, rules = this.rules) {
+    const changeType = this.getChangeType(headBranch, rules);
+    const values = {
+      title,
+      head: headBranch,
+      base: baseBranch,
+      issue: issueNumber ? `Closes #${issueNumber}` : '',
+      changeType: changeType ? changeType.label : ''
+    };
+
+    let body = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+
+    // Common template lines such as "Fixes # (issue)" take the linked issue
+    if (issueNumber) {
+      body = body.replace(/^([ \t]*(?:[-*][ \t]+)?)(closes|fixes|resolves)[ \t]+#[ \t]*(\(issue( number)?\))?[ \t]*$/im, `$1$2 #${issueNumber}`);
+    }
+
+    return changeType ? this.tickChangeTypes(body, [changeType]) : body;
+  }
+
+  // Tick the checkboxes for the given change types inside the "Type of Change" section
+  tickChangeTypes(body, changeTypes) {
+    const lines = body.split('\n');
+    let inSection = false;
+
+    return lines.map(line => {
+      if (/^#{1,6}\s/.test(line)) {
+        inSection = /type of change/i.test(line);
+        return line;
+      }
+      const checkbox = line.match(/^(\s*[-*]\s+)\[ \](.*)$/);
+      // Match on the label only; explanations like "(fix or feature that ...)" mention other types
+      const label = checkbox ? checkbox[2].replace(/\(.*?\)/g, '') : '';
+      if (inSection && checkbox && changeTypes.some(type => type.checkbox.test(label))) {
+        return `${checkbox[1]}[x]${checkbox[2]}`;
+      }
+      return line;
+    }).join('\n');
+  }
+
   // Generate PR body following company guidelines
-  generatePRBody(title, headBranch, baseBranch) {
+  generatePRBody(title, headBranch, baseBranch, issueNumber = null) {
     return `## Description
 ${title}
 
@@ -341,34 +2597,265 @@ ${title}
 - [ ] My changes generate no new warnings
 - [ ] Any dependent changes have been merged and published
 
-## Branch: \`${headBranch}\` → \`${baseBranch}\`
+${issueNumber ? `## Related Issues\nCloses #${issueNumber}\n\n` : ''}## Branch: \`${headBranch}\` → \`${baseBranch}\`
 
 **Created by:** GitHub MCP Server
 **Note:** Please ensure this PR follows all company guidelines before merging.`;
   }
 
   // Get PR guidelines reminder
-  getPRGuidelines() {
+  getPRGuidelines(rules = this.rules) {
     return `📋 **Next Steps - Company PR Guidelines:**
-• Add reviewers from your team
-• Link related issues using "Closes #123" or "Fixes #123"
-• Ensure all CI checks pass
-• Update documentation if needed
-• Test thoroughly before requesting review
-• Use "Squash and merge" for feature branches`;
+${rules.pullRequest.guidelines.map(line => `• ${line}`).join('\n')}`;
   }
 
   // Get company-specific commit message format
-  getCommitMessageGuidelines() {
+  getCommitMessageGuidelines(rules = this.rules) {
+    const { types, example } = rules.commitFormat;
     return `📋 **Commit Message Format (Conventional Commits):**
-• feat: A new feature
-• fix: A bug fix  
-• docs: Documentation changes
-• style: Code style changes (formatting, etc.)
-• refactor: Code refactoring
-• test: Adding or modifying tests
-• chore: Maintenance tasks
+${Object.entries(types).map(([type, { description }]) => `• ${type}: ${description}`).join('\n')}
 
-**Example:** "feat: add user authentication system"`;
+**Example:** "${example}"`;
   }
 }
+
+// Credentials come from the environment, which does not reload, so clients, installation tokens and the
+// response cache outlive a tool recreated for a configuration change
+let environmentCredentials = null;
+function sharedCredentials() {
+  environmentCredentials = environmentCredentials || GithubCredentials.fromEnvironment();
+  return environmentCredentials;
+}
+
+// MCP tool definition, discovered by index.js
+export const definition = {
+  name: "github",
+  dependsOn: ['docs'],
+  uses: ['repositories', 'rules'],
+  create: ({ repositories, rules, tools }) => new GithubTool({
+    repos: repositories,
+    credentials: sharedCredentials(),
+    documentationTool: tools.docs || null,
+    rules
+  }),
+  description: ({ repositories }) => `GitHub API integration - pure remote operations for repositories: ${repositories.map(r => r.name).join(', ')}`,
+  inputSchema: ({ repositories }) => ({
+    type: "object",
+    properties: {
+      repoName: { 
+        type: "string", 
+        description: `Repository name from configured repos: ${repositories.map(r => r.name).join(', ')}. Required for every action except list_repos and diagnose`,
+        enum: repositories.map(r => r.name)
+      },
+      action: { 
+        type: "string", 
+        description: "Action to perform",
+        enum: ["list_branches", "create_branch", "create_pr", "list_prs", "get_pr", "get_pr_diff", "list_pr_files", "comment_pr", "request_reviewers", "submit_review", "merge_pr", "close_pr", "list_issues", "get_issue", "create_issue", "update_issue", "comment_issue", "link_issue_to_pr", "get_checks", "list_workflow_runs", "get_run_logs", "rerun_workflow", "dispatch_workflow", "search_code", "list_tree", "lint_commits", "compare", "release_notes", "create_release", "get_file", "update_file", "commit_changes", "list_repos", "diagnose"]
+      },
+      branch: {
+        type: "string",
+        description: "Branch name (required for create_branch unless issueNumber is given, update_file, commit_changes; optional ref for get_file; branch for get_checks, list_workflow_runs, dispatch_workflow, lint_commits)"
+      },
+      description: {
+        type: "string",
+        description: "Branch description for create_branch"
+      },
+      title: {
+        type: "string",
+        description: "PR title in conventional commit format, e.g. 'feat: add login form' (required for create_pr), issue title (required for create_issue, optional for update_issue), or release name for create_release (defaults to the tag)"
+      },
+      body: {
+        type: "string",
+        description: "PR body for create_pr (defaults to the repo's PR template, or the company template when it has none), comment text for comment_pr, close_pr or comment_issue, review summary for submit_review, or issue description for create_issue/update_issue"
+      },
+      describe: {
+        type: "boolean",
+        description: "For create_pr without a body: describe the PR from the commits and files between base and head (ticks change types, lists changes and touched areas, flags missing tests)"
+      },
+      head: {
+        type: "string",
+        description: "Head branch for create_pr, or head ref for compare and release_notes (required)"
+      },
+      base: {
+        type: "string",
+        description: "Base branch for create_pr (defaults to the repo's default branch), base filter for list_prs, base ref for compare and release_notes (required) or lint_commits with branch (defaults to the repo's default branch), or previous tag for create_release (defaults to the latest release)"
+      },
+      filepath: {
+        type: "string",
+        description: "File path (required for get_file, update_file; file for an inline comment_pr or a single-file get_pr_diff; directory for list_tree; path filter for search_code)"
+      },
+      content: {
+        type: "string",
+        description: "New file content (required for update_file)"
+      },
+      message: {
+        type: "string",
+        description: "Commit message (required for commit_changes, optional for update_file), conventional format e.g. 'feat: add login form'"
+      },
+      prNumber: {
+        type: "number",
+        description: "Pull request number (required for get_pr, get_pr_diff, list_pr_files, comment_pr, request_reviewers, submit_review, merge_pr, close_pr; or use it with get_checks, lint_commits)"
+      },
+      line: {
+        type: "number",
+        description: "Line number for an inline comment_pr"
+      },
+      side: {
+        type: "string",
+        description: "Diff side for an inline comment_pr (RIGHT = new code, default)",
+        enum: ["LEFT", "RIGHT"]
+      },
+      reviewers: {
+        type: "array",
+        items: { type: "string" },
+        description: "GitHub usernames for request_reviewers"
+      },
+      teamReviewers: {
+        type: "array",
+        items: { type: "string" },
+        description: "Team slugs for request_reviewers"
+      },
+      event: {
+        type: "string",
+        description: "Review verdict for submit_review",
+        enum: ["approve", "request_changes", "comment"]
+      },
+      comments: {
+        type: "array",
+        description: "Inline comments for submit_review",
+        items: {
+          type: "object",
+          properties: {
+            path: { type: "string", description: "File path" },
+            line: { type: "number", description: "Line number in the new version of the file" },
+            side: { type: "string", enum: ["LEFT", "RIGHT"] },
+            body: { type: "string", description: "Comment text" }
+          },
+          required: ["path", "line", "body"]
+        }
+      },
+      issueNumber: {
+        type: "number",
+        description: "Issue number (required for get_issue, update_issue, comment_issue, link_issue_to_pr; for create_branch derives the branch name; for create_pr adds 'Closes #N')"
+      },
+      state: {
+        type: "string",
+        description: "State filter for list_issues and list_prs (default open), or new state for update_issue",
+        enum: ["open", "closed", "all"]
+      },
+      labels: {
+        type: "array",
+        items: { type: "string" },
+        description: "Label filter for list_issues and list_prs, or labels to set for create_issue/update_issue"
+      },
+      assignee: {
+        type: "string",
+        description: "Assignee filter for list_issues (username, '*' or 'none')"
+      },
+      assignees: {
+        type: "array",
+        items: { type: "string" },
+        description: "Usernames to assign for create_issue/update_issue"
+      },
+      milestone: {
+        type: "string",
+        description: "Milestone number or title (list_issues also accepts '*' and 'none'; update_issue accepts 'none' to clear)"
+      },
+      keyword: {
+        type: "string",
+        description: "Closing keyword for link_issue_to_pr (default Closes)",
+        enum: ["Closes", "Fixes", "Resolves"]
+      },
+      runId: {
+        type: "number",
+        description: "Workflow run ID (required for get_run_logs, rerun_workflow)"
+      },
+      workflow: {
+        type: "string",
+        description: "Workflow file name or ID, e.g. 'ci.yml' (required for dispatch_workflow, filter for list_workflow_runs)"
+      },
+      failedOnly: {
+        type: "boolean",
+        description: "Re-run only the failed jobs for rerun_workflow"
+      },
+      inputs: {
+        type: "object",
+        description: "workflow_dispatch inputs for dispatch_workflow",
+        additionalProperties: { type: "string" }
+      },
+      author: {
+        type: "string",
+        description: "PR author filter for list_prs"
+      },
+      pattern: {
+        type: "string",
+        description: "Branch name glob for list_branches, or head branch glob for list_prs (e.g. 'feature/*', 'release/**')"
+      },
+      query: {
+        type: "string",
+        description: "Search terms for search_code (GitHub code search syntax, scoped to the repo)"
+      },
+      recursive: {
+        type: "boolean",
+        description: "Include nested files and directories for list_tree"
+      },
+      limit: {
+        type: "number",
+        description: "Maximum results per page for list_branches, list_prs, list_issues, search_code, list_tree (default 100), list_workflow_runs (default 20); max 1000"
+      },
+      cursor: {
+        type: "string",
+        description: "Cursor from a previous response to fetch the next page"
+      },
+      tag: {
+        type: "string",
+        description: "Tag to create for create_release, e.g. 'v1.4.0' (required)"
+      },
+      target: {
+        type: "string",
+        description: "Branch or commit to tag for create_release (defaults to the repo's default branch)"
+      },
+      draft: {
+        type: "boolean",
+        description: "Create the release as a draft for create_release"
+      },
+      prerelease: {
+        type: "boolean",
+        description: "Mark the release as a pre-release for create_release"
+      },
+      mergeMethod: {
+        type: "string",
+        description: "Merge method for merge_pr. Defaults to the company rule for the head branch prefix (feature/ = squash, hotfix/ = merge); a conflicting value is refused",
+        enum: ["merge", "squash", "rebase"]
+      },
+      deleteBranch: {
+        type: "boolean",
+        description: "Delete the head branch after merge_pr or close_pr"
+      },
+      taskBranch: { 
+        type: "string", 
+        description: "Deprecated: use branch (create_branch, get_file, update_file, commit_changes) or head (create_pr)" 
+      },
+      taskDescription: { 
+        type: "string", 
+        description: "Deprecated: use description, title, filepath, or filepath/content/message for update_file" 
+      },
+      operations: {
+        type: "array",
+        description: "File operations for commit_changes, applied as one commit",
+        items: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["add", "modify", "delete", "rename"] },
+            path: { type: "string", description: "File path (new path for rename)" },
+            content: { type: "string", description: "File content for add/modify (optional for rename)" },
+            from: { type: "string", description: "Original path for rename" }
+          },
+          required: ["type", "path"]
+        }
+      }
+    },
+    required: ["action"]
+  }),
+  handler: (tool, args, session) => tool.withSession(session, () => tool.run(args))
+};
@@ -0,0 +1,329 @@
+import fetch from "node-fetch";
+
+export class TrelloTool {
+  constructor({ apiKey, token, baseUrl = "https://api.trello.com/1", defaultBoard = null } = {}) {
+    this.apiKey = apiKey;
+    this.token = token;
+    // Base URL is configurable so the tool can be pointed at a local stand-in for the Trello API
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.defaultBoard = defaultBoard;
+  }
+
+  async run({ action, boardId, listId, cardId, name, description, text, items, url }) {
+    try {
+      if (!this.apiKey || !this.token) {
+        throw new Error('Trello credentials missing. Set TRELLO_API_KEY and TRELLO_TOKEN environment variables.');
+      }
+
+      switch (action) {
+        case 'list_boards':
+          return await this.listBoards();
+
+        case 'list_lists':
+          return await this.listLists(boardId || this.defaultBoard);
+
+        case 'list_cards':
+          return await this.listCards({ boardId: boardId || this.defaultBoard, listId });
+
+        case 'get_card':
+          return await this.getCard(cardId);
+
+        case 'create_card':
+          return await this.createCard(listId, name, description);
+
+        case 'move_card':
+          return await this.moveCard(cardId, listId);
+
+        case 'add_comment':
+          return await this.addComment(cardId, text);
+
+        case 'add_checklist':
+          return await this.addChecklist(cardId, name, items);
+
+        case 'attach_github':
+          return await this.attachGithubLink(cardId, url, name);
+
+        default:
+          throw new Error(`Unknown action: ${action}`);
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Trello Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // Perform an authenticated request against the Trello REST API
+  async request(method, endpoint, params = {}) {
+    const url = new URL(`${this.baseUrl}${endpoint}`);
+    url.searchParams.set('key', this.apiKey);
+    url.searchParams.set('token', this.token);
+
+    const options = { method, headers: { Accept: 'application/json' } };
+    if (method === 'GET') {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) url.searchParams.set(key, value);
+      });
+    } else {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(params);
+    }
+
+    const response = await fetch(url, options);
+    const body = await response.text();
+
+    if (!response.ok) {
+      throw new Error(`${method} ${endpoint} failed (${response.status}): ${body || response.statusText}`);
+    }
+
+    return body ? JSON.parse(body) : null;
+  }
+
+  // Ensure a required argument was supplied for an action
+  requireArg(value, argName, action) {
+    if (!value) {
+      throw new Error(`'${argName}' is required for ${action}`);
+    }
+  }
+
+  // List boards the authenticated member can see
+  async listBoards() {
+    const boards = await this.request('GET', '/members/me/boards', { filter: 'open', fields: 'name,url' });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 Trello Boards:\n${boards.map(board =>
+            `• ${board.name} (${board.id})\n  ${board.url}`
+          ).join('\n')}`
+        }
+      ]
+    };
+  }
+
+  // List the open lists (columns) on a board
+  async listLists(boardId) {
+    this.requireArg(boardId, 'boardId', 'list_lists');
+    const lists = await this.request('GET', `/boards/${boardId}/lists`, { filter: 'open' });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 Lists on board ${boardId}:\n${lists.map(list =>
+            `• ${list.name} (${list.id})`
+          ).join('\n')}`
+        }
+      ]
+    };
+  }
+
+  // List cards in a list, or on a whole board
+  async listCards({ boardId, listId }) {
+    if (!listId) {
+      this.requireArg(boardId, 'boardId or listId', 'list_cards');
+    }
+
+    const endpoint = listId ? `/lists/${listId}/cards` : `/boards/${boardId}/cards`;
+    const cards = await this.request('GET', endpoint, { fields: 'name,idList,url,shortUrl' });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📋 Cards in ${listId ? `list ${listId}` : `board ${boardId}`}:\n${cards.map(card =>
+            `• ${card.name} (${card.id})\n  ${card.shortUrl || card.url}`
+          ).join('\n')}`
+        }
+      ]
+    };
+  }
+
+  // Fetch a single card with its description
+  async getCard(cardId) {
+    this.requireArg(cardId, 'cardId', 'get_card');
+    const card = await this.getCardData(cardId);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📄 Card: ${card.name} (${card.id})\n🔗 ${card.shortUrl || card.url}\n\n${card.desc || 'No description'}`
+        }
+      ]
+    };
+  }
+
+  // Raw card data, used by other tools that need the card name and description
+  async getCardData(cardId) {
+    return await this.request('GET', `/cards/${cardId}`, { fields: 'name,desc,idList,idBoard,url,shortUrl' });
+  }
+
+  // Create a new card in a list
+  async createCard(listId, name, description) {
+    this.requireArg(listId, 'listId', 'create_card');
+    this.requireArg(name, 'name', 'create_card');
+
+    const card = await this.request('POST', '/cards', {
+      idList: listId,
+      name,
+      desc: description || ''
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Created card '${card.name}' (${card.id})\n🔗 ${card.shortUrl || card.url}`
+        }
+      ]
+    };
+  }
+
+  // Move a card to another list
+  async moveCard(cardId, listId) {
+    this.requireArg(cardId, 'cardId', 'move_card');
+    this.requireArg(listId, 'listId', 'move_card');
+
+    const card = await this.request('PUT', `/cards/${cardId}`, { idList: listId });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Moved card '${card.name}' to list ${listId}`
+        }
+      ]
+    };
+  }
+
+  // Add a comment to a card
+  async addComment(cardId, text) {
+    this.requireArg(cardId, 'cardId', 'add_comment');
+    this.requireArg(text, 'text', 'add_comment');
+
+    await this.request('POST', `/cards/${cardId}/actions/comments`, { text });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Added comment to card ${cardId}`
+        }
+      ]
+    };
+  }
+
+  // Add a checklist with items to a card
+  async addChecklist(cardId, name, items = []) {
+    this.requireArg(cardId, 'cardId', 'add_checklist');
+
+    const checklist = await this.request('POST', '/checklists', {
+      idCard: cardId,
+      name: name || 'Checklist'
+    });
+
+    const checkItems = Array.isArray(items) ? items : String(items).split('\n');
+    for (const item of checkItems.filter(Boolean)) {
+      await this.request('POST', `/checklists/${checklist.id}/checkItems`, { name: item });
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Added checklist '${checklist.name}' with ${checkItems.filter(Boolean).length} items to card ${cardId}`
+        }
+      ]
+    };
+  }
+
+  // Attach a GitHub branch or pull request URL to a card
+  async attachGithubLink(cardId, url, name) {
+    this.requireArg(cardId, 'cardId', 'attach_github');
+    this.requireArg(url, 'url', 'attach_github');
+
+    if (!/^https:\/\/github\.com\/[^/]+\/[^/]+\/(tree|pull)\/.+/.test(url)) {
+      throw new Error(`'${url}' is not a GitHub branch or pull request URL`);
+    }
+
+    const attachment = await this.request('POST', `/cards/${cardId}/attachments`, {
+      url,
+      name: name || url.split('/').slice(-2).join(' ')
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Attached ${attachment.url || url} to card ${cardId}`
+        }
+      ]
+    };
+  }
+}
+
+// MCP tool definition, discovered by index.js
+export const definition = {
+  name: "trello",
+  uses: [],
+  create: () => new TrelloTool({
+    apiKey: process.env.TRELLO_API_KEY,
+    token: process.env.TRELLO_TOKEN,
+    baseUrl: process.env.TRELLO_API_URL,
+    defaultBoard: process.env.TRELLO_BOARD_ID
+  }),
+  description: "Trello task board - list boards, lists and cards, manage cards and link GitHub branches/PRs",
+  inputSchema: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        description: "Action to perform",
+        enum: ["list_boards", "list_lists", "list_cards", "get_card", "create_card", "move_card", "add_comment", "add_checklist", "attach_github"]
+      },
+      boardId: {
+        type: "string",
+        description: "Board ID (defaults to TRELLO_BOARD_ID for list_lists, list_cards)"
+      },
+      listId: {
+        type: "string",
+        description: "List ID (required for create_card, move_card; optional filter for list_cards)"
+      },
+      cardId: {
+        type: "string",
+        description: "Card ID (required for get_card, move_card, add_comment, add_checklist, attach_github)"
+      },
+      name: {
+        type: "string",
+        description: "Card name for create_card, checklist name for add_checklist, or attachment name"
+      },
+      description: {
+        type: "string",
+        description: "Card description for create_card"
+      },
+      text: {
+        type: "string",
+        description: "Comment text for add_comment"
+      },
+      items: {
+        type: "array",
+        items: { type: "string" },
+        description: "Checklist items for add_checklist"
+      },
+      url: {
+        type: "string",
+        description: "GitHub branch or PR URL for attach_github"
+      }
+    },
+    required: ["action"]
+  },
+  handler: (tool, args) => tool.run(args)
+};
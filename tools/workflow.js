@@ -0,0 +1,413 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export class WorkflowTool {
+  constructor({ githubTool, documentationTool = null, trelloTool = null, statePath = path.join(__dirname, '..', 'workflow-state.json') }) {
+    this.github = githubTool;
+    this.docs = documentationTool;
+    this.trello = trelloTool;
+    this.statePath = statePath;
+    this.workflows = this.loadState();
+  }
+
+  async run({ action, repoName, taskId, cardId, description, branchName, title }) {
+    try {
+      switch (action) {
+        case 'start_task':
+          return await this.startTask({ repoName, taskId, cardId, description, branchName });
+
+        case 'finish_task':
+          return await this.finishTask({ taskId: taskId || cardId, title });
+
+        case 'status':
+          return this.getStatus(taskId || cardId);
+
+        case 'reset':
+          return this.resetTask(taskId || cardId);
+
+        default:
+          throw new Error(`Unknown action: ${action}`);
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Workflow Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // Load persisted workflow state so failed steps can be resumed after a restart
+  loadState() {
+    try {
+      if (fs.existsSync(this.statePath)) {
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(this.statePath, 'utf8'))));
+      }
+    } catch (error) {
+      console.error('❌ Error loading workflow state:', error.message);
+    }
+    return new Map();
+  }
+
+  // Persist workflow state after every step
+  saveState() {
+    try {
+      fs.writeFileSync(this.statePath, JSON.stringify(Object.fromEntries(this.workflows), null, 2));
+    } catch (error) {
+      console.error('❌ Error saving workflow state:', error.message);
+    }
+  }
+
+  // Run the named steps in order, skipping any that already completed
+  async runSteps(workflow, steps) {
+    for (const [stepName, stepFn] of steps) {
+      const previous = workflow.steps[stepName];
+      if (previous?.status === 'done') {
+        continue;
+      }
+
+      try {
+        const result = await stepFn(workflow);
+        workflow.steps[stepName] = { status: 'done', result, completedAt: new Date().toISOString() };
+      } catch (error) {
+        workflow.steps[stepName] = { status: 'failed', error: error.message, failedAt: new Date().toISOString() };
+        workflow.updatedAt = new Date().toISOString();
+        this.saveState();
+        return { ok: false, failedStep: stepName };
+      }
+
+      workflow.updatedAt = new Date().toISOString();
+      this.saveState();
+    }
+
+    return { ok: true };
+  }
+
+  // Start a task: resolve it, derive a compliant branch, create it and surface the branching guidelines
+  async startTask({ repoName, taskId, cardId, description, branchName }) {
+    const id = taskId || cardId || (description && this.slugify(description));
+    if (!id) {
+      throw new Error("Provide 'cardId' or 'description' (or 'taskId' to resume) for start_task");
+    }
+
+    let workflow = this.workflows.get(id);
+    if (!workflow) {
+      if (!repoName) {
+        throw new Error("'repoName' is required to start a new task");
+      }
+      workflow = {
+        id,
+        repoName,
+        cardId: cardId || null,
+        description: description || null,
+        requestedBranch: branchName || null,
+        steps: {},
+        createdAt: new Date().toISOString()
+      };
+      this.workflows.set(id, workflow);
+    }
+
+    const steps = [
+      ['resolve_task', wf => this.resolveTask(wf)],
+      ['derive_branch', wf => this.deriveBranch(wf)],
+      ['create_branch', wf => this.createBranch(wf)],
+      ['guidelines', () => this.branchGuidelines()]
+    ];
+    if (workflow.cardId && this.trello) {
+      steps.push(['link_branch', wf => this.linkToCard(wf, this.branchUrl(wf))]);
+    }
+
+    const outcome = await this.runSteps(workflow, steps);
+    return this.formatReport(workflow, 'start_task', outcome);
+  }
+
+  // Finish a task: open the PR for the task branch and report back
+  async finishTask({ taskId, title }) {
+    const workflow = this.requireWorkflow(taskId);
+    if (workflow.steps.create_branch?.status !== 'done') {
+      throw new Error(`Task '${taskId}' has no branch yet. Run start_task first.`);
+    }
+
+    if (title) {
+      workflow.prTitle = title;
+    }
+
+    const steps = [['create_pr', wf => this.createPullRequest(wf)]];
+    if (workflow.cardId && this.trello) {
+      steps.push(['link_pr', wf => this.linkToCard(wf, wf.steps.create_pr.result.url)]);
+    }
+
+    const outcome = await this.runSteps(workflow, steps);
+    return this.formatReport(workflow, 'finish_task', outcome);
+  }
+
+  // Step: work out the task title and description from the card or the given description
+  async resolveTask(workflow) {
+    if (workflow.cardId) {
+      if (!this.trello) {
+        throw new Error('Trello tool is not configured, cannot resolve card');
+      }
+      const card = await this.trello.getCardData(workflow.cardId);
+      return { title: card.name, description: card.desc || '', url: card.shortUrl || card.url };
+    }
+
+    const [firstLine, ...rest] = workflow.description.split('\n');
+    return { title: firstLine.trim(), description: rest.join('\n').trim() };
+  }
+
+  // Step: build a branch name from the task title and validate it against company rules
+  async deriveBranch(workflow) {
+    const { title } = workflow.steps.resolve_task.result;
+    const rules = this.repoRules(workflow);
+    const branchName = workflow.requestedBranch || this.buildBranchName(title, rules);
+
+    const validation = this.github.validateBranchName(branchName, rules);
+    if (!validation.isValid) {
+      throw new Error(`Derived branch '${branchName}' is invalid: ${validation.error}`);
+    }
+
+    return { branchName };
+  }
+
+  // Step: create the branch from the repository's default branch
+  async createBranch(workflow) {
+    const targetRepo = this.github.findRepository(workflow.repoName);
+    const [owner, repo] = targetRepo.repo.split('/');
+    const { branchName } = workflow.steps.derive_branch.result;
+    const { title } = workflow.steps.resolve_task.result;
+
+    const response = await this.github.withRepository(targetRepo, () =>
+      this.github.createBranch(owner, repo, branchName, targetRepo.defaultBranch, title));
+    this.assertSuccess(response);
+
+    return { repo: targetRepo.repo, branchName, baseBranch: targetRepo.defaultBranch };
+  }
+
+  // Step: fetch the branching guidelines excerpt to hand back with the report
+  async branchGuidelines() {
+    if (!this.docs) {
+      return { text: '' };
+    }
+    return { text: this.docs.getGuidelines('create_branch').content[0].text };
+  }
+
+  // Step: open the pull request using the company PR template
+  async createPullRequest(workflow) {
+    const { repo: fullRepo, branchName, baseBranch } = workflow.steps.create_branch.result;
+    const [owner, repo] = fullRepo.split('/');
+    const title = workflow.prTitle || this.buildPullRequestTitle(workflow);
+
+    const targetRepo = this.github.findRepository(workflow.repoName);
+    const { pr, violations } = await this.github.withRepository(targetRepo, () =>
+      this.github.openPullRequest(owner, repo, branchName, baseBranch, title));
+    if (!pr) {
+      throw new Error(`PR validation failed:\n${this.github.formatViolations(violations)}`);
+    }
+
+    return { number: pr.number, url: pr.html_url, title };
+  }
+
+  // Step: attach a GitHub URL to the task's Trello card
+  async linkToCard(workflow, url) {
+    const response = await this.trello.attachGithubLink(workflow.cardId, url);
+    this.assertSuccess(response);
+    return { url };
+  }
+
+  // Derive a branch name like "feature/add-user-login" from a task title. The prefix comes from the
+  // `keywords` of the allowed prefixes in the rules; anything else gets the default prefix
+  buildBranchName(title, rules) {
+    const words = ` ${title.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+    const prefix = this.github.choosePrefix(({ keywords = [] }) => keywords.some(keyword => words.includes(` ${keyword.toLowerCase()} `)), rules);
+    return this.github.buildBranchName(prefix, title, rules);
+  }
+
+  // Company rules for the task's repository
+  repoRules(workflow) {
+    const [owner, repo] = this.github.findRepository(workflow.repoName).repo.split('/');
+    return this.github.getRules(owner, repo);
+  }
+
+  // Use the task title as the PR title, prefixed with the branch's commit type when it is not already conventional
+  buildPullRequestTitle(workflow) {
+    const { title } = workflow.steps.resolve_task.result;
+    if (this.github.lintCommitMessage(title, this.repoRules(workflow)).length === 0) {
+      return title;
+    }
+
+    const { branchName } = workflow.steps.create_branch.result;
+    const type = this.github.branchCommitType(branchName, this.repoRules(workflow)) || 'feat';
+    return `${type}: ${title.replace(/\.+$/, '')}`;
+  }
+
+  // Lowercase, hyphen-separated slug
+  slugify(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  // GitHub URL of the task branch, used for the Trello attachment
+  branchUrl(workflow) {
+    const { repo, branchName } = workflow.steps.create_branch.result;
+    return `https://github.com/${repo}/tree/${branchName}`;
+  }
+
+  // Tool responses report failures via isError rather than throwing
+  assertSuccess(response) {
+    if (response?.isError) {
+      throw new Error(response.content.map(item => item.text).join('\n'));
+    }
+  }
+
+  // Look up a recorded workflow or fail with the list of known tasks
+  requireWorkflow(taskId) {
+    if (!taskId) {
+      throw new Error("'taskId' or 'cardId' is required");
+    }
+    const workflow = this.workflows.get(taskId);
+    if (!workflow) {
+      const known = Array.from(this.workflows.keys()).join(', ') || 'none';
+      throw new Error(`No workflow found for task '${taskId}'. Known tasks: ${known}`);
+    }
+    return workflow;
+  }
+
+  // Show the recorded state of a task, or all tasks when no id is given
+  getStatus(taskId) {
+    if (!taskId) {
+      const workflows = Array.from(this.workflows.values());
+      return {
+        content: [
+          {
+            type: "text",
+            text: workflows.length
+              ? `📋 Tracked Tasks:\n${workflows.map(wf => `• ${wf.id} (${wf.repoName}) - ${this.describeSteps(wf)}`).join('\n')}`
+              : '📋 No tracked tasks'
+          }
+        ]
+      };
+    }
+
+    return this.formatReport(this.requireWorkflow(taskId), 'status', { ok: true });
+  }
+
+  // Forget a task so it can be started from scratch
+  resetTask(taskId) {
+    this.requireWorkflow(taskId);
+    this.workflows.delete(taskId);
+    this.saveState();
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Cleared workflow state for task '${taskId}'`
+        }
+      ]
+    };
+  }
+
+  // One-line step summary for the task list
+  describeSteps(workflow) {
+    return Object.entries(workflow.steps)
+      .map(([name, step]) => `${name}: ${step.status}`)
+      .join(', ') || 'not started';
+  }
+
+  // Summarize every recorded step for the MCP response
+  formatReport(workflow, action, outcome) {
+    const icons = { done: '✅', failed: '❌' };
+    const lines = Object.entries(workflow.steps).map(([name, step]) => {
+      const detail = step.status === 'failed'
+        ? step.error
+        : name === 'guidelines' ? 'loaded' : Object.entries(step.result || {}).map(([k, v]) => `${k}=${v}`).join(', ');
+      return `${icons[step.status]} ${name}: ${detail}`;
+    });
+
+    let text = `📋 Workflow '${workflow.id}' (${workflow.repoName}) - ${action}\n${lines.join('\n')}`;
+
+    if (!outcome.ok) {
+      text += `\n\n⚠️  Step '${outcome.failedStep}' failed. Fix the cause and run ${action} again with taskId '${workflow.id}' to resume from that step.`;
+    } else if (action === 'start_task' && workflow.steps.guidelines?.result?.text) {
+      text += `\n\n${workflow.steps.guidelines.result.text}`;
+    } else if (action === 'finish_task') {
+      text += `\n\n${this.github.getPRGuidelines(this.repoRules(workflow))}`;
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text
+        }
+      ],
+      ...(outcome.ok ? {} : { isError: true })
+    };
+  }
+}
+
+// MCP tool definition, discovered by index.js
+export const definition = {
+  name: "workflow",
+  dependsOn: ['github', 'docs', 'trello'],
+  uses: [],
+  create: ({ tools }) => {
+    if (!tools.github) {
+      throw new Error('the github tool is disabled');
+    }
+    return new WorkflowTool({
+      githubTool: tools.github,
+      documentationTool: tools.docs || null,
+      trelloTool: tools.trello || null
+    });
+  },
+  description: "Task lifecycle - start a task (branch from card/description) and finish it (open PR). Failed steps resume on re-run.",
+  inputSchema: ({ repositories }) => ({
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        description: "Workflow step to run",
+        enum: ["start_task", "finish_task", "status", "reset"]
+      },
+      repoName: {
+        type: "string",
+        description: `Repository for a new task: ${repositories.map(r => r.name).join(', ')}`,
+        enum: repositories.map(r => r.name)
+      },
+      taskId: {
+        type: "string",
+        description: "Task ID returned by start_task (used to resume, finish or inspect a task)"
+      },
+      cardId: {
+        type: "string",
+        description: "Trello card to start the task from (also used as the task ID)"
+      },
+      description: {
+        type: "string",
+        description: "Task description when there is no card; first line becomes the title"
+      },
+      branchName: {
+        type: "string",
+        description: "Optional branch name override for start_task"
+      },
+      title: {
+        type: "string",
+        description: "Optional PR title override for finish_task"
+      }
+    },
+    required: ["action"]
+  }),
+  // Branches and PRs are created with the calling session's GitHub credentials
+  handler: (tool, args, session) => tool.github.withSession(session, () => tool.run(args))
+};
@@ -1,34 +1,487 @@
-import { exec } from "child_process";
+import { execFile } from "child_process";
+
+// Default command policy. Entries are matched against the leading subcommand words,
+// longest match wins; deny beats confirm beats allow. Anything unmatched is rejected.
+export const DEFAULT_WPCLI_POLICY = {
+  allow: [
+    'plugin list', 'plugin get', 'plugin status', 'plugin is-active',
+    'theme list', 'theme get', 'theme status',
+    'option get', 'option list',
+    'post list', 'post get', 'post meta get', 'post meta list',
+    'user list', 'user get', 'user meta get',
+    'term list', 'comment list', 'menu list', 'role list', 'cap list',
+    'core version', 'core check-update', 'core verify-checksums',
+    'transient get', 'rewrite list',
+    'cron event list', 'cron schedule list',
+    'db check', 'db size', 'db tables',
+    'site list', 'help', 'cli version', 'cli info'
+  ],
+  confirm: [
+    'db reset', 'db drop', 'db import', 'db export', 'db query', 'db optimize', 'db repair',
+    'search-replace',
+    'plugin install', 'plugin update', 'plugin activate', 'plugin deactivate', 'plugin delete', 'plugin uninstall',
+    'theme install', 'theme update', 'theme activate', 'theme delete',
+    'core update', 'core update-db',
+    'option add', 'option update', 'option delete',
+    'post create', 'post update', 'post delete',
+    'user create', 'user update', 'user delete',
+    'cache flush', 'transient delete', 'rewrite flush',
+    'site empty', 'site delete', 'cron event run'
+  ],
+  deny: [
+    'eval', 'eval-file', 'shell', 'db cli', 'package', 'config', 'server', 'core download'
+  ],
+  // Global flags that would bypass the policy or run arbitrary code
+  deniedFlags: ['--exec', '--require', '--ssh', '--http', '--path']
+};
+
+// Commands that accept --format=json; any "<noun> list" or "<noun> get" also qualifies
+const JSON_FORMAT_COMMANDS = ['core check-update', 'cli info', 'db size', 'db tables', 'plugin search', 'theme search', 'plugin verify-checksums'];
+
+// PHP diagnostics WP-CLI passes through on stderr even when the command succeeds
+const PHP_WARNING_PATTERN = /^PHP (Warning|Notice|Deprecated|Strict Standards):|^(Warning|Notice|Deprecated): .* on line \d+$/m;
+
+// Characters that only make sense to a shell; rejected unless quoted
+const SHELL_OPERATORS = /^([;&|<>`]|\$\()/;
 
 export class WpCliTool {
-  constructor(workingDir = "/Users/macbookair/Desktop/app") {
-    this.workingDir = workingDir;
-  }
-
-  async run({ command }) {
-    return new Promise((resolve, reject) => {
-      exec(`wp ${command}`, { cwd: this.workingDir }, (err, stdout, stderr) => {
-        if (err) {
-          resolve({
-            content: [
-              {
-                type: "text",
-                text: `❌ WP-CLI Error: ${stderr || err.message}`
-              }
-            ],
-            isError: true
-          });
+  constructor({ sites = [], wpBinary = "wp", policy = {}, timeoutMs = 60000 } = {}) {
+    this.sites = sites;
+    this.wpBinary = wpBinary;
+    this.timeoutMs = timeoutMs;
+    this.policy = {
+      allow: policy.allow || DEFAULT_WPCLI_POLICY.allow,
+      confirm: policy.confirm || DEFAULT_WPCLI_POLICY.confirm,
+      deny: policy.deny || DEFAULT_WPCLI_POLICY.deny,
+      deniedFlags: policy.deniedFlags || DEFAULT_WPCLI_POLICY.deniedFlags
+    };
+  }
+
+  async run({ site: siteName, command, confirm = false, dryRun = false, format = 'text' }) {
+    try {
+      const site = this.findSite(siteName);
+
+      if (!command || typeof command !== 'string') {
+        throw new Error('command is required');
+      }
+
+      const parsed = this.parseCommand(command);
+      const check = this.checkPolicy(parsed);
+      const argv = format === 'json' ? this.withJsonFormat(parsed) : parsed;
+      const invocation = this.buildInvocation(site, argv);
+
+      if (dryRun) {
+        return this.describeDryRun(site, invocation, check, confirm);
+      }
+
+      if (check.decision === 'deny') {
+        throw new Error(check.reason);
+      }
+
+      if (check.decision === 'confirm' && confirm !== true) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `⚠️  '${check.match}' requires explicit confirmation on site '${site.name}'.\nWould execute: ${this.formatCommand(invocation.args)}\n\n💡 Re-run with confirm: true to execute, or dryRun: true to preview.`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      const execution = await this.execute(invocation);
+      return this.formatResult(site, parsed, execution, format);
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ WP-CLI Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // Resolve a configured site by name; the first site is the default
+  findSite(siteName) {
+    if (this.sites.length === 0) {
+      throw new Error('No WordPress sites configured. Add a "sites" section to config/wpcli.json');
+    }
+    if (!siteName) {
+      return this.sites[0];
+    }
+
+    const site = this.sites.find(s => s.name === siteName);
+    if (!site) {
+      throw new Error(`Site '${siteName}' not found. Available sites: ${this.sites.map(s => s.name).join(', ')}`);
+    }
+    return site;
+  }
+
+  // Helper method to list configured sites
+  listSites() {
+    return this.sites.map(site => ({
+      name: site.name,
+      url: site.url,
+      path: site.path,
+      ssh: site.ssh,
+      repo: site.repo
+    }));
+  }
+
+  // Switch a command to JSON output, rejecting commands that cannot produce it
+  withJsonFormat(argv) {
+    const words = argv.filter(arg => !arg.startsWith('-'));
+    const command = words.slice(0, 2).join(' ');
+    const supported = ['list', 'get'].includes(words[1]) || ['list', 'get'].includes(words[2]) ||
+      JSON_FORMAT_COMMANDS.some(entry => command === entry || words.slice(0, 3).join(' ') === entry);
+
+    if (!supported) {
+      throw new Error(`'${command}' does not support --format=json. Use format: 'text' instead`);
+    }
+
+    return [...argv.filter(arg => !arg.startsWith('--format=') && arg !== '--format'), '--format=json'];
+  }
+
+  // Add the site-specific global flags and process options to the user's argv
+  buildInvocation(site, argv) {
+    const globals = [`--path=${site.path}`];
+    if (site.url) {
+      globals.push(`--url=${site.url}`);
+    }
+    if (site.ssh) {
+      globals.unshift(`--ssh=${site.ssh}`);
+    }
+
+    const env = { ...process.env };
+    if (site.phpBinary) {
+      // Honoured by the wp launcher script to pick the PHP interpreter
+      env.WP_CLI_PHP = site.phpBinary;
+    }
+
+    return {
+      args: [...argv, ...globals],
+      options: {
+        cwd: site.ssh ? process.cwd() : site.path,
+        env,
+        maxBuffer: 10 * 1024 * 1024,
+        timeout: this.timeoutMs
+      }
+    };
+  }
+
+  // Split a command string into argv the way a POSIX shell would, without expanding anything
+  parseCommand(command) {
+    const args = [];
+    let current = '';
+    let hasToken = false;
+    let quote = null;
+
+    for (let i = 0; i < command.length; i++) {
+      const char = command[i];
+
+      if (quote === "'") {
+        if (char === "'") quote = null;
+        else current += char;
+        continue;
+      }
+
+      if (quote === '"') {
+        if (char === '"') {
+          quote = null;
+        } else if (char === '\\' && i + 1 < command.length && '"\\$`'.includes(command[i + 1])) {
+          current += command[++i];
+        } else if (char === '`' || (char === '$' && command[i + 1] === '(')) {
+          throw new Error('Command substitution is not allowed');
         } else {
-          resolve({
-            content: [
-              {
-                type: "text", 
-                text: `✅ WP-CLI Result:\n${stdout}`
-              }
-            ]
-          });
+          current += char;
+        }
+        continue;
+      }
+
+      if (char === "'" || char === '"') {
+        quote = char;
+        hasToken = true;
+      } else if (char === '\\' && i + 1 < command.length) {
+        current += command[++i];
+        hasToken = true;
+      } else if (/\s/.test(char)) {
+        if (hasToken) {
+          args.push(current);
+          current = '';
+          hasToken = false;
+        }
+      } else if (SHELL_OPERATORS.test(command.slice(i))) {
+        throw new Error(`Shell operator '${char === '$' ? '$(' : char}' is not allowed. Run one WP-CLI command at a time.`);
+      } else {
+        current += char;
+        hasToken = true;
+      }
+    }
+
+    if (quote) {
+      throw new Error(`Unterminated ${quote} quote in command`);
+    }
+    if (hasToken) {
+      args.push(current);
+    }
+
+    // Accept commands written with or without the leading "wp"
+    if (args[0] === 'wp') {
+      args.shift();
+    }
+    if (args.length === 0) {
+      throw new Error('command is empty');
+    }
+
+    return args;
+  }
+
+  // Decide whether argv is allowed, needs confirmation or is denied
+  checkPolicy(argv) {
+    if (argv[0].startsWith('@')) {
+      return { decision: 'deny', match: argv[0], reason: `Alias '${argv[0]}' is not allowed. Pick a configured site instead` };
+    }
+
+    const badFlag = argv.find(arg => this.policy.deniedFlags.some(flag => arg === flag || arg.startsWith(`${flag}=`)));
+    if (badFlag) {
+      return { decision: 'deny', match: badFlag, reason: `Flag '${badFlag.split('=')[0]}' is not allowed` };
+    }
+
+    const words = argv.filter(arg => !arg.startsWith('-'));
+    const matchLength = entry => {
+      const parts = entry.split(' ');
+      return parts.every((part, i) => words[i] === part) ? parts.length : 0;
+    };
+    const best = list => list.reduce((found, entry) => {
+      const length = matchLength(entry);
+      return length > (found?.length || 0) ? { entry, length } : found;
+    }, null);
+
+    const denied = best(this.policy.deny);
+    const confirmed = best(this.policy.confirm);
+    const allowed = best(this.policy.allow);
+
+    if (denied) {
+      return { decision: 'deny', match: denied.entry, reason: `'${denied.entry}' is on the WP-CLI deny-list` };
+    }
+    if (confirmed && confirmed.length >= (allowed?.length || 0)) {
+      return { decision: 'confirm', match: confirmed.entry };
+    }
+    if (allowed) {
+      return { decision: 'allow', match: allowed.entry };
+    }
+
+    return {
+      decision: 'deny',
+      match: words.slice(0, 2).join(' '),
+      reason: `'${words.slice(0, 2).join(' ')}' is not on the WP-CLI allow-list`
+    };
+  }
+
+  // Describe exactly what would run without executing it
+  describeDryRun(site, invocation, check, confirm) {
+    const status = {
+      allow: '✅ allowed',
+      confirm: confirm === true ? '✅ allowed (confirmed)' : '⚠️  requires confirm: true',
+      deny: `❌ blocked - ${check.reason}`
+    }[check.decision];
+
+    const details = [
+      `• Site: ${site.name}${site.url ? ` (${site.url})` : ''}`,
+      `• Binary: ${this.wpBinary}`,
+      `• Arguments: ${JSON.stringify(invocation.args)}`,
+      `• Working directory: ${invocation.options.cwd}`,
+      site.phpBinary ? `• PHP: ${site.phpBinary}` : null,
+      site.ssh ? `• SSH alias: ${site.ssh}` : null,
+      `• Command: ${this.formatCommand(invocation.args)}`,
+      `• Policy: ${status}`
+    ].filter(Boolean);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🧪 Dry run - nothing was executed\n${details.join('\n')}`
         }
+      ]
+    };
+  }
+
+  // Render argv as a copy-pasteable shell command
+  formatCommand(argv) {
+    const quote = arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+    return [this.wpBinary, ...argv].map(quote).join(' ');
+  }
+
+  // Run WP-CLI directly, without a shell, and capture everything needed to classify the outcome
+  execute(invocation) {
+    return new Promise((resolve) => {
+      execFile(this.wpBinary, invocation.args, invocation.options, (err, stdout, stderr) => {
+        resolve({ err, stdout: stdout.toString(), stderr: stderr.toString() });
       });
     });
   }
+
+  // Classify a finished run as timeout, exit code, PHP warning or success
+  classifyResult({ err, stderr }) {
+    if (err && err.killed && err.signal) {
+      return 'timeout';
+    }
+    if (err) {
+      return 'exit_code';
+    }
+    if (PHP_WARNING_PATTERN.test(stderr)) {
+      return 'php_warning';
+    }
+    return 'success';
+  }
+
+  // Turn a finished run into an MCP response, one message per error category
+  formatResult(site, argv, execution, format) {
+    const category = this.classifyResult(execution);
+    const { err, stdout, stderr } = execution;
+
+    if (category === 'timeout') {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `⏱️  WP-CLI Timeout (${site.name}): '${argv.join(' ')}' did not finish within ${this.timeoutMs < 1000 ? `${this.timeoutMs}ms` : `${Math.round(this.timeoutMs / 1000)}s`} and was stopped`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    if (category === 'exit_code') {
+      const code = err.code ?? 'unknown';
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ WP-CLI Exit Code ${code} (${site.name}): ${(stderr || err.message).trim()}`
+          }
+        ],
+        isError: true
+      };
+    }
+
+    let body = `✅ WP-CLI Result (${site.name}):\n${stdout}`;
+    if (format === 'json') {
+      try {
+        body = this.summarizeJson(site, argv, JSON.parse(stdout || 'null'));
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `❌ WP-CLI Output Error (${site.name}): expected JSON but could not parse it (${error.message})\n${stdout}`
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+
+    // The command succeeded, so this is not an error: a client retrying on errors would run a write twice
+    if (category === 'php_warning') {
+      const warnings = stderr.split('\n').filter(line => PHP_WARNING_PATTERN.test(line));
+      return {
+        content: [
+          {
+            type: "text",
+            text: `⚠️  WP-CLI PHP Warnings (${site.name}): the command finished but PHP reported ${warnings.length} warning(s)\n${warnings.map(line => `• ${line.trim()}`).join('\n')}`
+          },
+          {
+            type: "text",
+            text: body
+          }
+        ]
+      };
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: body
+        }
+      ]
+    };
+  }
+
+  // Build a structured summary plus rows from JSON output
+  summarizeJson(site, argv, data) {
+    const words = argv.filter(arg => !arg.startsWith('-'));
+    const command = words.slice(0, 2).join(' ');
+
+    if (!Array.isArray(data)) {
+      return `✅ WP-CLI Result (${site.name}): ${command}\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+    }
+
+    let rows = data;
+    const summary = [`${rows.length} row(s)`];
+
+    if (command === 'plugin list' || command === 'theme list') {
+      rows = data.map(item => ({
+        name: item.name,
+        status: item.status,
+        version: item.version,
+        update_available: item.update === 'available',
+        ...(item.update_version ? { update_version: item.update_version } : {})
+      }));
+
+      const byStatus = rows.reduce((counts, row) => ({ ...counts, [row.status]: (counts[row.status] || 0) + 1 }), {});
+      summary.push(Object.entries(byStatus).map(([status, count]) => `${count} ${status}`).join(', '));
+      summary.push(`${rows.filter(row => row.update_available).length} update(s) available`);
+    } else if (rows.length > 0 && typeof rows[0] === 'object') {
+      summary.push(`fields: ${Object.keys(rows[0]).join(', ')}`);
+    }
+
+    return `✅ WP-CLI Result (${site.name}): ${command}\n📊 ${summary.filter(Boolean).join(' • ')}\n\`\`\`json\n${JSON.stringify(rows, null, 2)}\n\`\`\``;
+  }
 }
+
+// MCP tool definition, discovered by index.js
+export const definition = {
+  name: "wpcli",
+  uses: ['wpCliConfig', 'sites'],
+  create: ({ wpCliConfig, sites }) => {
+    if (sites.length === 0) {
+      throw new Error('no WordPress sites configured. Add a "sites" section to config/wpcli.json or set WP_SITES');
+    }
+    return new WpCliTool({
+      sites,
+      wpBinary: process.env.WP_CLI_BIN || wpCliConfig.wpBinary,
+      policy: wpCliConfig.policy,
+      timeoutMs: wpCliConfig.timeoutMs
+    });
+  },
+  description: ({ sites }) => `WordPress CLI tool for sites: ${sites.map(site => `${site.name}${site.repo ? ` (repo: ${site.repo})` : ''}`).join(', ')}. Commands run without a shell and must be on the allow-list; destructive ones need confirm: true.`,
+  inputSchema: ({ sites }) => ({
+    type: "object",
+    properties: {
+      site: {
+        type: "string",
+        description: `WordPress site from configured sites (defaults to ${sites[0].name}): ${sites.map(site => site.name).join(', ')}`,
+        enum: sites.map(site => site.name)
+      },
+      command: { type: "string", description: "WP-CLI command to execute, without shell operators (e.g. 'plugin list --status=active')" },
+      confirm: { type: "boolean", description: "Confirm a command that requires explicit confirmation (db reset, search-replace, ...)" },
+      dryRun: { type: "boolean", description: "Show exactly what would run and whether the policy allows it, without executing" },
+      format: {
+        type: "string",
+        description: "Output format. 'json' adds --format=json (list/get commands) and returns a parsed summary plus rows",
+        enum: ["text", "json"]
+      }
+    },
+    required: ["command"]
+  }),
+  handler: (tool, args) => tool.run(args),
+  // Calls without a site run on the default one, so log that
+  auditTarget: (tool, args) => tool.findSite(args.site).name
+};
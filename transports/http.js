@@ -0,0 +1,293 @@
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Serves MCP over Streamable HTTP (/mcp) and the legacy SSE transport (/sse + /messages).
+// Each client session gets its own MCP server instance from createServer()
+export class HttpTransportServer {
+  constructor({ createServer, port = 3000, host = '127.0.0.1', authToken = null, sessionIdleMinutes = 30, allowedHosts = [], allowedOrigins = [] }) {
+    if (!authToken && !LOOPBACK_HOSTS.includes(host)) {
+      throw new Error(`MCP_AUTH_TOKEN is required to listen on ${host}`);
+    }
+
+    this.createServer = createServer;
+    this.port = port;
+    this.host = host;
+    this.authToken = authToken;
+    this.configuredHosts = allowedHosts;
+    this.configuredOrigins = allowedOrigins;
+    this.sessionIdleMs = sessionIdleMinutes * 60 * 1000;
+    this.sessions = new Map();
+    this.startedAt = Date.now();
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('❌ HTTP request failed:', error.message);
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      });
+    });
+  }
+
+  async start() {
+    if (!this.authToken) {
+      console.error('⚠️  MCP_AUTH_TOKEN is not set; the HTTP transport accepts any local client');
+    }
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, resolve);
+    });
+
+    // Port 0 picks a free port, which is only known once listening
+    this.port = this.httpServer.address().port;
+    this.allowedHosts = this.configuredHosts.length > 0 ? this.configuredHosts : defaultAllowedHosts(this.host, this.port);
+    this.allowedOrigins = [...this.allowedHosts.map(allowed => `http://${allowed}`), ...this.configuredOrigins];
+
+    this.sweeper = setInterval(() => this.closeIdleSessions(), SESSION_SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+    console.error(`🌐 MCP HTTP transport listening on http://${this.host}:${this.port}/mcp (legacy SSE on /sse)`);
+  }
+
+  async stop() {
+    clearInterval(this.sweeper);
+    await Promise.all([...this.sessions.values()].map(session => session.transport.close().catch(() => {})));
+    await new Promise(resolve => this.httpServer.close(resolve));
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    // Health checks stay unauthenticated so load balancers and uptime monitors can reach them
+    if (url.pathname === '/health' && req.method === 'GET') {
+      return this.sendHealth(res);
+    }
+
+    const rejected = this.checkRequestOrigin(req);
+    if (rejected) {
+      return this.sendJsonRpcError(res, 403, -32000, rejected);
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this.sendJsonRpcError(res, 401, -32001, 'Unauthorized: missing or invalid bearer token');
+    }
+
+    switch (url.pathname) {
+      case '/mcp':
+        return await this.handleStreamableRequest(req, res);
+      case '/sse':
+        if (req.method !== 'GET') break;
+        return await this.openSseSession(req, res);
+      case '/messages':
+        if (req.method !== 'POST') break;
+        return await this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      default:
+        return this.sendJsonRpcError(res, 404, -32601, `Not found: ${url.pathname}`);
+    }
+
+    res.setHeader('Allow', url.pathname === '/sse' ? 'GET' : 'POST');
+    return this.sendJsonRpcError(res, 405, -32601, `Method not allowed: ${req.method} ${url.pathname}`);
+  }
+
+  // A page on another site can point its own domain at 127.0.0.1 (DNS rebinding) and reach a local
+  // server from the browser, so only the configured Host and Origin values get through.
+  // Clients outside a browser send no Origin header
+  checkRequestOrigin(req) {
+    const { host, origin } = req.headers;
+    if (this.allowedHosts.length > 0 && !this.allowedHosts.includes(host)) {
+      return `Forbidden: Host ${host || '(none)'} is not allowed`;
+    }
+    if (origin && !this.allowedOrigins.includes(origin)) {
+      return `Forbidden: Origin ${origin} is not allowed`;
+    }
+    return null;
+  }
+
+  // The SDK transports repeat the Host and Origin check on every request they handle
+  dnsRebindingOptions() {
+    return {
+      enableDnsRebindingProtection: this.allowedHosts.length > 0,
+      allowedHosts: this.allowedHosts,
+      allowedOrigins: this.allowedOrigins
+    };
+  }
+
+  // Compare in constant time so the token cannot be guessed byte by byte
+  isAuthorized(req) {
+    if (!this.authToken) {
+      return true;
+    }
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return false;
+    }
+
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.authToken);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  // Streamable HTTP: a POST without a session must be an initialize request, which opens a new session
+  async handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await this.readJsonBody(req, res) : undefined;
+    if (body === null) {
+      return;
+    }
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.type !== 'streamable-http') {
+        return this.sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+      }
+      this.attachSessionAuth(req, session);
+      return await session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return this.sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+    }
+
+    const server = this.createServer();
+    const githubToken = this.readGithubToken(req);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      ...this.dnsRebindingOptions(),
+      onsessioninitialized: id => this.addSession({ id, type: 'streamable-http', server, transport, githubToken })
+    });
+    transport.onclose = () => this.removeSession(transport.sessionId);
+
+    await server.connect(transport);
+    this.attachSessionAuth(req, { githubToken });
+    await transport.handleRequest(req, res, body);
+  }
+
+  // Legacy SSE: the GET stream stays open and the client posts messages to /messages?sessionId=...
+  async openSseSession(req, res) {
+    const server = this.createServer();
+    const transport = new SSEServerTransport('/messages', res, this.dnsRebindingOptions());
+    this.addSession({ id: transport.sessionId, type: 'sse', server, transport, githubToken: this.readGithubToken(req) });
+    res.on('close', () => this.removeSession(transport.sessionId));
+
+    await server.connect(transport);
+  }
+
+  async handleSseMessage(req, res, sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session || session.type !== 'sse') {
+      return this.sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId || '(none)'}`);
+    }
+
+    const body = await this.readJsonBody(req, res);
+    if (body === null) {
+      return;
+    }
+
+    this.attachSessionAuth(req, session);
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  // Clients on a shared server can act on GitHub as themselves by sending their own token
+  readGithubToken(req) {
+    return req.headers['x-github-token'] || null;
+  }
+
+  // The SDK hands req.auth to tool handlers as authInfo; a token sent on a later request replaces the session's
+  attachSessionAuth(req, session) {
+    session.githubToken = this.readGithubToken(req) || session.githubToken || null;
+    session.lastSeen = Date.now();
+    req.auth = { token: this.authToken || '', clientId: session.id || 'pending', scopes: [], extra: { githubToken: session.githubToken } };
+  }
+
+  addSession(session) {
+    const now = Date.now();
+    this.sessions.set(session.id, { ...session, createdAt: now, lastSeen: now });
+    console.error(`🔌 Session ${session.id} opened (${session.type}, ${this.sessions.size} active)`);
+  }
+
+  removeSession(sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    this.sessions.delete(sessionId);
+    session.server.close().catch(() => {});
+    console.error(`🔌 Session ${sessionId} closed (${this.sessions.size} active)`);
+  }
+
+  // Clients that disappear without closing their session would otherwise hold it forever
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionIdleMs;
+    [...this.sessions.values()]
+      .filter(session => session.lastSeen < cutoff)
+      .forEach(session => {
+        console.error(`⏱️  Closing idle session ${session.id}`);
+        session.transport.close().catch(() => {});
+        this.removeSession(session.id);
+      });
+  }
+
+  sendHealth(res) {
+    const sessions = [...this.sessions.values()];
+    this.sendJson(res, 200, {
+      status: 'ok',
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      sessions: {
+        total: sessions.length,
+        streamableHttp: sessions.filter(session => session.type === 'streamable-http').length,
+        sse: sessions.filter(session => session.type === 'sse').length
+      }
+    });
+  }
+
+  // Returns the parsed body, or null after sending an error response
+  async readJsonBody(req, res) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        this.sendJsonRpcError(res, 413, -32600, `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      this.sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+      return null;
+    }
+  }
+
+  sendJsonRpcError(res, status, code, message) {
+    this.sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+  }
+
+  sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+// Host header values a client may send to reach the server. A loopback server answers to each loopback name.
+// A server listening on every interface cannot tell its public name, so MCP_ALLOWED_HOSTS has to supply it;
+// until then only the bearer token protects it
+function defaultAllowedHosts(host, port) {
+  if (WILDCARD_HOSTS.includes(host)) {
+    return [];
+  }
+  const names = LOOPBACK_HOSTS.includes(host) ? LOOPBACK_HOSTS : [host];
+  return names.map(name => `${name.includes(':') ? `[${name}]` : name}:${port}`);
+}